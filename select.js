@@ -1,10 +1,56 @@
 "use strict";
 
-const { Disposable, CompositeDisposable, TextEditor } = require("atom");
 const etch = require("etch");
 const Diacritics = require("diacritic");
 const $ = etch.dom;
 
+// Props a provider can define; the list's own props are the fallback
+const PROVIDER_PROPS = [
+  "items",
+  "filter",
+  "filterKeyForItem",
+  "filterFieldsForItem",
+  "filterQuery",
+  "itemId",
+  "itemKey",
+  "elementForItem",
+  "didConfirmSelection",
+  "didConfirmEmptySelection",
+  "placeholderText",
+  "helpMessage",
+  "helpMarkdown",
+  "emptyMessage",
+  "previewForItem",
+  "groupForItem",
+  "childrenForItem",
+];
+
+// The atom module is only available in Pulsar: it is loaded on first use, so
+// that the static helpers can be used without it
+let atomModule = null;
+function requireAtom() {
+  if (!atomModule) atomModule = require("atom");
+  return atomModule;
+}
+
+// Ids of the rendered row elements, used as the keys of their rows
+const elementIds = new WeakMap();
+let nextElementId = 0;
+function getElementId(element) {
+  let id = elementIds.get(element);
+  if (id === undefined) {
+    id = nextElementId++;
+    elementIds.set(element, id);
+  }
+  return id;
+}
+
+// Number of recent query results kept for incremental narrowing
+const QUERY_CACHE_SIZE = 20;
+
+// Number of positions per query character considered by the JavaScript matcher
+const MAX_MATCH_POSITIONS = 16;
+
 class SelectListView {
   static schedulerInitialized = false;
 
@@ -28,30 +74,230 @@ class SelectListView {
     }
   }
 
+  /**
+   * Shows a list of items and resolves with the confirmed item. The list is
+   * hidden and destroyed once settled, and the focus is restored.
+   * @param {Array} items - The items to pick from
+   * @param {Object} [options] - Other props of the list; the confirm and
+   *   cancel callbacks are provided by pick
+   * @returns {Promise} Resolves with the confirmed item (the confirmed items
+   *   with `multiSelect`), or undefined when cancelled
+   */
+  static pick(items, options = {}) {
+    return new Promise((resolve) => {
+      const session = new ListSession(resolve);
+      const list = new SelectListView({
+        elementForItem: defaultElementForItem,
+        ...options,
+        items,
+        didConfirmSelection: (item) => session.close(item),
+        didConfirmSelections: (items) => session.close(items),
+        didConfirmEmptySelection: () => {},
+        didCancelSelection: () => session.close(undefined),
+      });
+      session.list = list;
+      list.show();
+    });
+  }
+
+  /**
+   * Shows a free-text input and resolves with the confirmed text. The list is
+   * hidden and destroyed once settled, and the focus is restored.
+   * @param {Object} [options] - Props of the list, and:
+   * @param {string} [options.value=""] - Initial text
+   * @param {Function} [options.validate] - Called with the text on each change
+   *   and on confirm; returns (or resolves to) an error message shown as
+   *   `errorMessage`, or a falsy value when the text is valid. An error it
+   *   throws is shown the same way
+   * @returns {Promise} Resolves with the confirmed text, or undefined when
+   *   cancelled
+   */
+  static prompt(options = {}) {
+    const { value = "", validate, ...props } = options;
+    return new Promise((resolve) => {
+      const session = new ListSession(resolve);
+      const list = new SelectListView({
+        elementForItem: defaultElementForItem,
+        ...props,
+        items: [],
+        didChangeQuery: () => session.check(validate, list.getQuery()),
+        didConfirmEmptySelection: async () => {
+          const text = list.getQuery();
+          if (await session.check(validate, text)) session.close(text);
+        },
+        didCancelSelection: () => session.close(undefined),
+      });
+      session.list = list;
+      if (value) {
+        list.setQuerySilently(value);
+      }
+      list.show();
+    });
+  }
+
+  /**
+   * Shows a sequence of steps in one list and resolves with their answers.
+   * Each step is a pick (with `items`) or a free-text input (without), and
+   * the `select-list:back` command returns to the previous step with its
+   * query and selection restored.
+   * @param {Object[]} steps - Props of each step, and:
+   *   `items` (an array, or a function called with the previous answers that
+   *   returns an array or a Promise), `value` (initial text, or a function
+   *   called with the previous answers) and `validate` (as in prompt, called
+   *   with the answer of the step). When `items` fails, its error is shown as
+   *   `errorMessage`. Step props are applied with update, so callbacks are
+   *   only taken from the shared props
+   * @param {Object} [options] - Props shared by all steps
+   * @returns {Promise} Resolves with the answers of all steps, or undefined
+   *   when cancelled
+   */
+  static flow(steps, options = {}) {
+    return new Promise((resolve) => {
+      const answers = [];
+      const states = [];
+      let stepIndex = -1;
+      let stepKeys = [];
+      const shared = { elementForItem: defaultElementForItem, ...options };
+      const session = new ListSession(resolve);
+      const check = (value) => session.check(steps[stepIndex].validate, value);
+      const isInputStep = () => steps[stepIndex].items === undefined;
+      const answer = async (value) => {
+        const index = stepIndex;
+        if (!(await check(value)) || index !== stepIndex) return;
+        states[index] = {
+          query: list.getQuery(),
+          selectedItem: list.getSelectedItem(),
+        };
+        answers[index] = value;
+        answers.length = index + 1;
+        if (index + 1 === steps.length) {
+          session.close(answers.slice());
+        } else {
+          showStep(index + 1);
+        }
+      };
+      const showStep = async (index, state) => {
+        stepIndex = index;
+        session.cancelChecks();
+        const { items, value, validate, ...stepProps } = steps[index];
+        const props = {};
+        // Props of the previous step fall back to the shared ones
+        for (const key of stepKeys) {
+          props[key] = shared[key];
+        }
+        stepKeys = Object.keys(stepProps);
+        Object.assign(props, stepProps, {
+          stepProgress: `${index + 1}/${steps.length}`,
+          errorMessage: null,
+        });
+
+        const previousAnswers = answers.slice(0, index);
+        const query = state
+          ? state.query
+          : typeof value === "function"
+          ? value(previousAnswers)
+          : value || "";
+        list.setQuerySilently(query);
+
+        let stepItems;
+        try {
+          stepItems =
+            typeof items === "function" ? items(previousAnswers) : items;
+          if (stepItems && typeof stepItems.then === "function") {
+            await list.update({
+              ...props,
+              items: [],
+              loadingMessage: stepProps.loadingMessage || "Loading items\u2026",
+            });
+            stepItems = await stepItems;
+            if (session.closed || index !== stepIndex) return;
+            props.loadingMessage = stepProps.loadingMessage || null;
+          }
+        } catch (error) {
+          if (session.closed || index !== stepIndex) return;
+          await list.update({
+            ...props,
+            items: [],
+            loadingMessage: stepProps.loadingMessage || null,
+            errorMessage: error.message || String(error),
+          });
+          return;
+        }
+        await list.update({ ...props, items: stepItems || [] });
+        if (state && state.selectedItem != null) {
+          // Items may be new objects, matched by itemKey; otherwise the
+          // selection stays at initialSelectionIndex
+          const selectedIndex = list.indexOfItem(state.selectedItem);
+          if (selectedIndex !== -1) list.selectIndex(selectedIndex);
+        }
+      };
+      const list = new SelectListView({
+        ...shared,
+        items: [],
+        didChangeQuery: () => {
+          if (isInputStep()) check(list.getQuery());
+        },
+        didConfirmSelection: (item) => answer(item),
+        didConfirmSelections: (items) => answer(items),
+        didConfirmEmptySelection: () => {
+          if (isInputStep()) answer(list.getQuery());
+        },
+        didCancelSelection: () => session.close(undefined),
+        didGoBack: () => {
+          if (stepIndex > 0) showStep(stepIndex - 1, states[stepIndex - 1]);
+        },
+      });
+      session.list = list;
+      showStep(0);
+      list.show();
+    });
+  }
+
   constructor(props) {
     SelectListView.initializeScheduler();
     this.props = props;
     if (!this.props.hasOwnProperty("initialSelectionIndex")) {
       this.props.initialSelectionIndex = 0;
     }
-    if (!this.props.items) {
+    this.previewVisible = props.showPreview !== false;
+    this.expandedItems = new Set();
+    if (this.props.providers) {
+      this.props.items = this.props.items || [];
+      this.providerDefaults = pickProviderProps(this.props);
+      this.providerStates = new Map();
+      this.applyProvider(this.findProvider(""));
+      this.filterItems(false);
+    } else if (!this.props.items) {
       this.props.items = [];
     } else {
       this.buildCandidates();
       this.filterItems(false);
     }
     this.showHelp = false;
+    this.markedItems = new Set();
+    this.rowHeights = new Map();
+    this.didScrollItems = this.didScrollItems.bind(this);
     this.computeHelp();
+    const { CompositeDisposable, Disposable } = requireAtom();
     this.disposables = new CompositeDisposable();
     etch.initialize(this);
     this.element.classList.add("select-list");
+    if (this.getPlacement() === "inline") {
+      // Shown by show(), like the panels
+      this.element.style.display = "none";
+    }
     if (props.className) {
       this.element.classList.add(
         ...props.className.split(/\s+/).filter(Boolean)
       );
     }
+    this.historyIndex = -1;
     this.disposables.add(
       this.refs.queryEditor.onDidChange(() => {
+        if (this.ignoreQueryChange) return;
+        if (!this.recallingQuery) {
+          this.historyIndex = -1;
+        }
         this.didChangeQuery();
       })
     );
@@ -69,6 +315,9 @@ class SelectListView {
     if (!props.skipCommandsRegistration) {
       this.disposables.add(this.registerAtomCommands());
     }
+    if (props.itemsSource) {
+      this.streamItems(props.itemsSource);
+    }
     const editorElement = this.refs.queryEditor.element;
     const didLoseFocus = this.didLoseFocus.bind(this);
     editorElement.addEventListener("blur", didLoseFocus);
@@ -89,7 +338,8 @@ class SelectListView {
   /**
    * Handles blur events from the query editor.
    * If focus moves within the select-list, refocuses the editor.
-   * If focus moves outside, cancels selection after a frame delay.
+   * If focus moves outside, cancels selection after a frame delay, unless
+   * the list is persistent.
    * @param {FocusEvent} event - The blur event
    */
   didLoseFocus(event) {
@@ -98,6 +348,7 @@ class SelectListView {
       this.refs.queryEditor.element.focus();
       return;
     }
+    if (this.isPersistent()) return;
     // Wait for click to complete before canceling
     requestAnimationFrame(() => {
       if (!document.hasFocus() || !this.isVisible()) return;
@@ -118,22 +369,90 @@ class SelectListView {
    * @returns {Promise} Resolves when destruction is complete
    */
   destroy() {
+    this.cancelItemsSource(false);
+    this.cancelFilter();
     this.disposables.dispose();
+    if (this.contextMenuDisposable) {
+      this.contextMenuDisposable.dispose();
+      this.contextMenuDisposable = null;
+    }
+    this.cancelPreview();
+    if (this.previewEditor) {
+      this.previewEditor.destroy();
+      this.previewEditor = null;
+    }
+    this.previewNode = null;
     this.filterMatcher = null;
     this.indexMatcher = null;
+    this.subsetMatcher = null;
+    this.queryCache = null;
+    this.elementCache = null;
+    this.providerStates = null;
     this.cachedCandidates = null;
     this.cachedItemByIndex = null;
+    this.rowHeights = null;
+    this.rowOffsets = null;
     if (this.panel) {
       this.panel.destroy();
       this.panel = null;
     }
+    if (this.getPlacement() === "dock") {
+      const pane = atom.workspace.paneForItem(this);
+      if (pane) pane.removeItem(this);
+    }
     return etch.destroy(this);
   }
 
   /**
-   * Shows the select list as a modal panel.
+   * Returns where the select list is shown by show().
+   * @returns {string} One of "modal", "top", "bottom", "dock" or "inline"
+   */
+  getPlacement() {
+    return this.props.placement || "modal";
+  }
+
+  /**
+   * Returns whether the list stays open when it loses focus.
+   * Defaults to true for all placements but "modal".
+   * @returns {boolean} True if losing focus does not cancel the selection
+   */
+  isPersistent() {
+    if (this.props.persistent !== undefined) {
+      return this.props.persistent;
+    }
+    return this.getPlacement() !== "modal";
+  }
+
+  /**
+   * Returns the title of the dock item.
+   * @returns {string} The `title` prop, or a generic title
+   */
+  getTitle() {
+    return this.props.title || "Select List";
+  }
+
+  /**
+   * Returns the URI of the dock item.
+   * @returns {string|undefined} The `uri` prop
+   */
+  getURI() {
+    return this.props.uri;
+  }
+
+  getIconName() {
+    return this.props.iconName;
+  }
+
+  getDefaultLocation() {
+    return this.props.dockLocation || "right";
+  }
+
+  /**
+   * Shows the select list according to its placement: as a modal, top or
+   * bottom panel, as a dock item, or by revealing the embedded element.
    * Stores the previously focused element to restore focus on hide.
    * Calls the willShow callback if provided.
+   * @returns {Promise|undefined} For "dock", resolves when the item is open
    */
   show() {
     if (this.isVisible()) {
@@ -149,20 +468,45 @@ class SelectListView {
     }
 
     const active = document.activeElement;
-    if (active && !active.closest(".modal")) {
+    if (active && !active.closest(".modal") && !this.element.contains(active)) {
       document.priorFocus = active;
     }
 
+    this.historyIndex = -1;
     this.refs.queryEditor.selectAll();
 
-    if (!this.panel) {
-      this.panel = atom.workspace.addModalPanel({ item: this, visible: false });
+    const placement = this.getPlacement();
+    if (placement === "dock") {
+      return atom.workspace
+        .open(this, {
+          location: this.getDefaultLocation(),
+          searchAllPanes: true,
+        })
+        .then(() => this.focus());
     }
 
-    this.panel.show();
+    if (placement === "inline") {
+      this.element.style.display = "";
+    } else {
+      if (!this.panel) {
+        this.panel = this.addPanel(placement);
+      }
+      this.panel.show();
+    }
     this.focus();
   }
 
+  addPanel(placement) {
+    const options = { item: this, visible: false };
+    if (placement === "top") {
+      return atom.workspace.addTopPanel(options);
+    } else if (placement === "bottom") {
+      return atom.workspace.addBottomPanel(options);
+    } else {
+      return atom.workspace.addModalPanel(options);
+    }
+  }
+
   /**
    * Hides the select list and restores focus to the previously focused element.
    */
@@ -171,7 +515,24 @@ class SelectListView {
       return;
     }
 
-    if (this.panel) {
+    this.cancelItemsSource();
+    this.cancelFilter();
+    // Popping a level selects an item again, which schedules its preview
+    this.popAllLevels();
+    this.cancelPreview();
+
+    const placement = this.getPlacement();
+    if (placement === "dock") {
+      const container = atom.workspace.paneContainerForItem(this);
+      if (container && container.getLocation() === "center") {
+        // Workspace.hide would destroy an item in the center
+        atom.workspace.paneForItem(this).removeItem(this);
+      } else {
+        atom.workspace.hide(this);
+      }
+    } else if (placement === "inline") {
+      this.element.style.display = "none";
+    } else if (this.panel) {
       this.panel.hide();
     }
 
@@ -194,13 +555,51 @@ class SelectListView {
 
   /**
    * Returns whether the select list is currently visible.
-   * @returns {boolean} True if the panel exists and is visible
+   * @returns {boolean} True if the panel exists and is visible, the dock item
+   *   is active in a visible dock, or the embedded element is shown
    */
   isVisible() {
-    return this.panel && this.panel.isVisible();
+    const placement = this.getPlacement();
+    if (placement === "dock") {
+      const pane = atom.workspace.paneForItem(this);
+      if (!pane || pane.getActiveItem() !== this) return false;
+      const container = atom.workspace.paneContainerForItem(this);
+      return container && typeof container.isVisible === "function"
+        ? container.isVisible()
+        : true;
+    } else if (placement === "inline") {
+      return Boolean(this.element) && this.element.style.display !== "none";
+    }
+    return Boolean(this.panel && this.panel.isVisible());
   }
 
   registerAtomCommands() {
+    const { CompositeDisposable } = requireAtom();
+    return new CompositeDisposable(
+      // Registered on the editor so that it runs before the editor deletes
+      // anything
+      atom.commands.add(this.refs.queryEditor.element, {
+        "core:backspace": (event) => {
+          if (this.getQuery() || this.getDrillDownPath().length === 0) return;
+          this.popLevel();
+          event.stopImmediatePropagation();
+        },
+        "core:move-left": (event) => {
+          if (this.getQuery() || !this.treeNodes) return;
+          this.collapseSelectedItem();
+          event.stopImmediatePropagation();
+        },
+        "core:move-right": (event) => {
+          if (this.getQuery() || !this.treeNodes) return;
+          this.expandSelectedItem();
+          event.stopImmediatePropagation();
+        },
+      }),
+      this.registerListCommands()
+    );
+  }
+
+  registerListCommands() {
     return atom.commands.add(this.element, {
       "core:move-up": (event) => {
         if (this.isHelpMode()) return;
@@ -227,13 +626,91 @@ class SelectListView {
         event.stopPropagation();
       },
       "core:cancel": (event) => {
-        this.cancelSelection();
+        if (this.currentLevel) {
+          this.popLevel();
+        } else {
+          this.cancelSelection();
+        }
+        event.stopPropagation();
+      },
+      "select-list:back": (event) => {
+        if (this.getDrillDownPath().length > 0) {
+          this.popLevel();
+        } else if (this.props.didGoBack) {
+          this.props.didGoBack();
+        } else {
+          return;
+        }
+        event.stopPropagation();
+      },
+      "select-list:expand": (event) => {
+        if (!this.treeNodes || this.isHelpMode()) return;
+        this.expandSelectedItem();
+        event.stopPropagation();
+      },
+      "select-list:collapse": (event) => {
+        if (!this.treeNodes || this.isHelpMode()) return;
+        this.collapseSelectedItem();
         event.stopPropagation();
       },
       "select-list:help": (event) => {
         this.toggleHelp();
         event.stopPropagation();
       },
+      "select-list:next-group": (event) => {
+        if (this.isHelpMode()) return;
+        this.selectNextGroup();
+        event.stopPropagation();
+      },
+      "select-list:previous-group": (event) => {
+        if (this.isHelpMode()) return;
+        this.selectPreviousGroup();
+        event.stopPropagation();
+      },
+      "select-list:toggle-preview": (event) => {
+        if (!this.props.previewForItem || this.isHelpMode()) return;
+        this.togglePreview();
+        event.stopPropagation();
+      },
+      "select-list:show-actions": (event) => {
+        if (!this.props.actionsForItem || this.isHelpMode()) return;
+        if (this.isSubListShown()) return;
+        this.showActions();
+        event.stopPropagation();
+      },
+      "select-list:run-action": (event) => {
+        const index = event.detail && event.detail.index;
+        if (!this.contextMenuActions || index === undefined) return;
+        const { item, actions } = this.contextMenuActions;
+        this.runAction(actions[index], item);
+        event.stopPropagation();
+      },
+      "select-list:previous-query": (event) => {
+        if (!this.props.historyKey) return;
+        this.recallPreviousQuery();
+        event.stopPropagation();
+      },
+      "select-list:next-query": (event) => {
+        if (!this.props.historyKey) return;
+        this.recallNextQuery();
+        event.stopPropagation();
+      },
+      "select-list:toggle-mark": (event) => {
+        if (!this.canMark()) return;
+        this.toggleMark();
+        this.selectNext();
+        event.stopPropagation();
+      },
+      "select-list:mark-all": (event) => {
+        if (!this.canMark()) return;
+        this.markAll();
+        event.stopPropagation();
+      },
+      "select-list:clear-marks": (event) => {
+        if (!this.props.multiSelect || this.isHelpMode()) return;
+        this.clearMarks();
+        event.stopPropagation();
+      },
     });
   }
 
@@ -242,9 +719,19 @@ class SelectListView {
     let shouldFilterItems = false;
     let shouldComputeHelp = false;
 
+    // In provider mode, the list's own props are kept as provider fallbacks
+    const providerProps = pickProviderProps(props);
+    const shouldApplyProvider = Object.keys(providerProps).length > 0;
+    if (this.props.providers) {
+      Object.assign(this.providerDefaults, providerProps);
+    }
+
     // Props that require rebuilding candidates
     if ("items" in props) {
       this.props.items = props.items;
+      // Heights are keyed by item, drop those of the replaced items
+      this.rowHeights.clear();
+      this.pruneMarks();
       shouldBuildCandidates = true;
     }
 
@@ -253,11 +740,40 @@ class SelectListView {
       shouldBuildCandidates = true;
     }
 
+    if ("filterFieldsForItem" in props) {
+      this.props.filterFieldsForItem = props.filterFieldsForItem;
+      shouldBuildCandidates = true;
+    }
+
+    if ("childrenForItem" in props) {
+      this.props.childrenForItem = props.childrenForItem;
+      if (this.props.tree) shouldBuildCandidates = true;
+    }
+
+    if ("tree" in props) {
+      this.props.tree = props.tree;
+      shouldBuildCandidates = true;
+    }
+
     if ("removeDiacritics" in props) {
       this.props.removeDiacritics = props.removeDiacritics;
       shouldBuildCandidates = true;
     }
 
+    if ("normalize" in props) {
+      this.props.normalize = props.normalize;
+      shouldBuildCandidates = true;
+    }
+
+    if ("matcher" in props) {
+      this.props.matcher = props.matcher;
+      // Matchers of another implementation can't be reused
+      this.filterMatcher = null;
+      this.subsetMatcher = null;
+      this.indexMatcher = null;
+      shouldBuildCandidates = true;
+    }
+
     // Props that only require re-filtering
     if ("maxResults" in props) {
       this.props.maxResults = props.maxResults;
@@ -269,6 +785,10 @@ class SelectListView {
       shouldFilterItems = true;
     }
 
+    if ("filterDebounce" in props) {
+      this.props.filterDebounce = props.filterDebounce;
+    }
+
     if ("filterQuery" in props) {
       this.props.filterQuery = props.filterQuery;
       shouldFilterItems = true;
@@ -280,7 +800,45 @@ class SelectListView {
     }
 
     if ("algorithm" in props) {
+      const matcher = this.getMatcher();
       this.props.algorithm = props.algorithm;
+      if (this.getMatcher() !== matcher) {
+        this.filterMatcher = null;
+        this.subsetMatcher = null;
+        this.indexMatcher = null;
+        shouldBuildCandidates = true;
+      } else {
+        shouldFilterItems = true;
+      }
+    }
+
+    if ("itemKey" in props) {
+      this.props.itemKey = props.itemKey;
+    }
+
+    if ("elementForItem" in props) {
+      this.props.elementForItem = props.elementForItem;
+      // Cached elements were rendered by the previous function
+      this.elementCache = null;
+    }
+
+    if ("itemId" in props) {
+      this.props.itemId = props.itemId;
+      shouldFilterItems = true;
+    }
+
+    if ("frecencyKey" in props) {
+      this.props.frecencyKey = props.frecencyKey;
+      shouldFilterItems = true;
+    }
+
+    if ("frecencyWeight" in props) {
+      this.props.frecencyWeight = props.frecencyWeight;
+      shouldFilterItems = true;
+    }
+
+    if ("frecencyHalfLife" in props) {
+      this.props.frecencyHalfLife = props.frecencyHalfLife;
       shouldFilterItems = true;
     }
 
@@ -294,11 +852,36 @@ class SelectListView {
       shouldFilterItems = true;
     }
 
+    if ("fieldScoring" in props) {
+      this.props.fieldScoring = props.fieldScoring;
+      shouldFilterItems = true;
+    }
+
+    if ("extendedSyntax" in props) {
+      this.props.extendedSyntax = props.extendedSyntax;
+      shouldFilterItems = true;
+    }
+
     if ("order" in props) {
       this.props.order = props.order;
       shouldFilterItems = true;
     }
 
+    if ("groupForItem" in props) {
+      this.props.groupForItem = props.groupForItem;
+      shouldFilterItems = true;
+    }
+
+    if ("groupOrder" in props) {
+      this.props.groupOrder = props.groupOrder;
+      shouldFilterItems = true;
+    }
+
+    if ("maxResultsPerGroup" in props) {
+      this.props.maxResultsPerGroup = props.maxResultsPerGroup;
+      shouldFilterItems = true;
+    }
+
     if ("query" in props) {
       this.refs.queryEditor.setText(props.query);
       // setText triggers didChangeQuery -> filterItems, so skip explicit filter
@@ -324,6 +907,10 @@ class SelectListView {
       this.props.infoMessage = props.infoMessage;
     }
 
+    if ("stepProgress" in props) {
+      this.props.stepProgress = props.stepProgress;
+    }
+
     if ("helpMessage" in props) {
       this.props.helpMessage = props.helpMessage;
       shouldComputeHelp = true;
@@ -346,6 +933,90 @@ class SelectListView {
       this.props.itemsClassList = props.itemsClassList;
     }
 
+    if ("multiSelect" in props) {
+      this.props.multiSelect = props.multiSelect;
+      if (!props.multiSelect) {
+        this.markedItems.clear();
+      }
+    }
+
+    if ("isItemDisabled" in props) {
+      this.props.isItemDisabled = props.isItemDisabled;
+      // Move the selection off an item that is now disabled
+      if (this.selectionIndex !== undefined) {
+        this.selectIndex(this.selectionIndex, false);
+      }
+    }
+
+    if ("virtualScroll" in props) {
+      this.props.virtualScroll = props.virtualScroll;
+      this.rowOffsets = null;
+    }
+
+    if ("itemHeight" in props) {
+      this.props.itemHeight = props.itemHeight;
+      this.rowOffsets = null;
+    }
+
+    if ("overscan" in props) {
+      this.props.overscan = props.overscan;
+    }
+
+    if ("previewForItem" in props) {
+      this.props.previewForItem = props.previewForItem;
+    }
+
+    if ("previewRatio" in props) {
+      this.props.previewRatio = props.previewRatio;
+    }
+
+    if ("previewDelay" in props) {
+      this.props.previewDelay = props.previewDelay;
+    }
+
+    if ("actionsForItem" in props) {
+      this.props.actionsForItem = props.actionsForItem;
+    }
+
+    if ("placement" in props && props.placement !== this.props.placement) {
+      this.hide();
+      if (this.panel) {
+        this.panel.destroy();
+        this.panel = null;
+      }
+      this.element.style.display = props.placement === "inline" ? "none" : "";
+      this.props.placement = props.placement;
+    }
+
+    if ("persistent" in props) {
+      this.props.persistent = props.persistent;
+    }
+
+    if ("title" in props) {
+      this.props.title = props.title;
+    }
+
+    if ("uri" in props) {
+      this.props.uri = props.uri;
+    }
+
+    if ("iconName" in props) {
+      this.props.iconName = props.iconName;
+    }
+
+    if ("dockLocation" in props) {
+      this.props.dockLocation = props.dockLocation;
+    }
+
+    if ("historyKey" in props) {
+      this.props.historyKey = props.historyKey;
+      this.historyIndex = -1;
+    }
+
+    if ("historySize" in props) {
+      this.props.historySize = props.historySize;
+    }
+
     if ("initialSelectionIndex" in props) {
       this.props.initialSelectionIndex = props.initialSelectionIndex;
     }
@@ -355,47 +1026,140 @@ class SelectListView {
       this.refs.queryEditor.setPlaceholderText(props.placeholderText || "");
     }
 
+    if ("providers" in props) {
+      if (props.providers && !this.props.providers) {
+        this.providerDefaults = pickProviderProps(this.props);
+        this.providerStates = new Map();
+      } else if (!props.providers && this.props.providers) {
+        this.applyProvider(null);
+        this.providerStates = null;
+        this.activeProvider = null;
+      }
+      this.props.providers = props.providers;
+      shouldBuildCandidates = true;
+    }
+
+    if (
+      this.props.providers &&
+      (shouldBuildCandidates || shouldApplyProvider)
+    ) {
+      // Re-apply the active provider on top of the updated fallbacks
+      if (shouldBuildCandidates) {
+        this.providerStates.clear();
+        this.candidates = null;
+      }
+      this.applyProvider(this.findProvider(this.getQuery()));
+      shouldBuildCandidates = false;
+      shouldComputeHelp = false;
+      shouldFilterItems = true;
+    }
+
     if (shouldBuildCandidates) {
       this.buildCandidates();
       this.filterItems();
     } else if (shouldFilterItems) {
       this.filterItems();
+    } else if ("previewForItem" in props) {
+      this.schedulePreview();
     }
 
     if (shouldComputeHelp) {
       this.computeHelp();
     }
 
+    if ("itemsSource" in props) {
+      if (props.itemsSource) {
+        this.streamItems(props.itemsSource);
+      } else {
+        this.cancelItemsSource();
+      }
+    }
+
     return etch.update(this);
   }
 
   render() {
     if (this.isHelpMode()) {
-      return $.div({}, this.renderQueryRow(), this.renderHelpMessage());
+      return $.div(
+        {},
+        this.renderBreadcrumbs(),
+        this.renderQueryRow(),
+        this.renderHelpMessage()
+      );
     } else {
       return $.div(
         {},
+        this.renderBreadcrumbs(),
         this.renderQueryRow(),
         this.renderLoadingMessage(),
         this.renderInfoMessage(),
         this.renderErrorMessage(),
-        this.renderItems()
+        this.isPreviewVisible()
+          ? this.renderPreviewLayout()
+          : this.renderItems()
       );
     }
   }
 
+  /**
+   * Renders the items and the preview pane side by side.
+   * The pane stretches to the height of the list and scrolls on its own.
+   */
+  renderPreviewLayout() {
+    const ratio = this.props.previewRatio ?? 0.5;
+    return $.div(
+      {
+        className: "select-list-body",
+        style: { display: "flex", alignItems: "stretch" },
+      },
+      $.div(
+        { style: { flex: `${1 - ratio} 1 0`, minWidth: "0" } },
+        this.renderItems()
+      ),
+      $.div(
+        {
+          ref: "previewPane",
+          className: "preview-pane",
+          style: { flex: `${ratio} 1 0`, minWidth: "0", position: "relative" },
+        },
+        $.div({
+          ref: "previewContent",
+          className: "preview-content",
+          style: {
+            position: "absolute",
+            top: "0",
+            right: "0",
+            bottom: "0",
+            left: "0",
+            overflow: "auto",
+          },
+        })
+      )
+    );
+  }
+
+  /**
+   * Re-attaches the current preview when the pane element was re-created.
+   */
+  writeAfterUpdate() {
+    const content = this.refs.previewContent;
+    if (
+      content &&
+      this.previewNode &&
+      this.previewNode.parentNode !== content
+    ) {
+      content.textContent = "";
+      content.appendChild(this.previewNode);
+    }
+  }
+
   renderQueryRow() {
     const helpToggle = this.helpMessage
       ? $.span({
           className: "icon-question",
           style: {
-            position: "absolute",
-            right: "8px",
-            top: "50%",
-            transform: "translateY(-50%)",
             cursor: "pointer",
             opacity: "0.5",
-            zIndex: "1",
           },
           on: {
             mousedown: (e) => e.preventDefault(),
@@ -405,10 +1169,52 @@ class SelectListView {
           },
         })
       : "";
+    const stepBadge = this.props.stepProgress
+      ? $.span(
+          { ref: "stepProgress", className: "badge step-progress" },
+          this.props.stepProgress
+        )
+      : "";
+    // Drill-down levels are shown by the breadcrumbs instead
+    const provider =
+      this.currentLevel && !this.currentLevel.drillDown
+        ? this.currentLevel
+        : this.activeProvider;
+    const providerBadge = provider
+      ? $.span(
+          { ref: "providerName", className: "badge provider-name" },
+          provider.name || provider.prefix
+        )
+      : "";
+    const markedCount = this.props.multiSelect ? this.markedItems.size : 0;
+    const markedBadge = markedCount
+      ? $.span(
+          { ref: "markedCount", className: "badge marked-count" },
+          `${markedCount} marked`
+        )
+      : "";
     return $.div(
       { style: { position: "relative" } },
-      $(TextEditor, { ref: "queryEditor", mini: true }),
-      helpToggle
+      $(requireAtom().TextEditor, { ref: "queryEditor", mini: true }),
+      $.span(
+        {
+          className: "query-indicators",
+          style: {
+            position: "absolute",
+            right: "8px",
+            top: "50%",
+            transform: "translateY(-50%)",
+            display: "flex",
+            alignItems: "center",
+            gap: "6px",
+            zIndex: "1",
+          },
+        },
+        stepBadge,
+        providerBadge,
+        markedBadge,
+        helpToggle
+      )
     );
   }
 
@@ -418,25 +1224,21 @@ class SelectListView {
         .concat(this.props.itemsClassList || [])
         .join(" ");
 
-      this.listItems = this.items.map((item, index) => {
-        const selected = this.getSelectedItem() === item;
-        const filterKey = this.getFilterKey(item);
-        const opts = { selected, index, filterKey };
-        // Lazy getter - matchIndices only computed when accessed
-        Object.defineProperty(opts, "matchIndices", {
-          get: () => this.getMatchIndices(item, filterKey),
-          enumerable: true,
-        });
-        return $(ListItemView, {
-          element: this.resolveElement(item, opts),
-          selected: selected,
-          onclick: () => this.didClickItem(index),
-          oncontextmenu: () => this.selectIndex(index),
-        });
-      });
+      if (this.props.virtualScroll) {
+        return this.renderVirtualItems(className);
+      }
+      this.virtualRange = null;
 
-      return $.ol({ className, ref: "items" }, ...this.listItems);
-    } else if (!this.props.loadingMessage && this.props.emptyMessage) {
+      return $.ol(
+        { className, ref: "items" },
+        ...this.renderRows(0, this.items.length)
+      );
+    } else if (
+      !this.props.loadingMessage &&
+      !this.itemsStream &&
+      !this.isFiltering() &&
+      this.props.emptyMessage
+    ) {
       return $.div(
         { ref: "emptyMessage", className: "empty-message" },
         this.props.emptyMessage
@@ -446,11 +1248,327 @@ class SelectListView {
     }
   }
 
+  /**
+   * Renders only the rows inside the viewport (plus overscan) and two spacers
+   * standing in for the rows above and below, so the scrollbar keeps its size.
+   * @param {string} className - Class names of the list element
+   * @returns {Object} The virtual DOM node of the list
+   */
+  renderVirtualItems(className) {
+    const { start, end } = this.computeVirtualRange();
+    // The selected row scrolls itself into view once rendered; later renders
+    // follow the scroll position only
+    this.scrollToSelection = false;
+    const offsets = this.getRowOffsets();
+    this.virtualRange = { start, end };
+
+    return $.ol(
+      { className, ref: "items", on: { scroll: this.didScrollItems } },
+      this.renderVirtualSpacer("before", offsets[start]),
+      ...this.renderRows(start, end),
+      this.renderVirtualSpacer(
+        "after",
+        offsets[this.items.length] - offsets[end]
+      )
+    );
+  }
+
+  /**
+   * Renders the rows of a range of items, with a header before the first
+   * item of each group. Only item rows are kept in `listItems`.
+   * @param {number} start - Index of the first item to render
+   * @param {number} end - Index after the last item to render
+   * @returns {Object[]} Virtual DOM nodes of the rows and headers
+   */
+  renderRows(start, end) {
+    const rows = [];
+    this.listItems = [];
+    for (let index = start; index < end; index++) {
+      if (this.groupHeaders && this.groupHeaders.has(index)) {
+        rows.push(this.renderGroupHeader(this.groupHeaders.get(index)));
+      }
+      const listItem = $(ListItemView, this.getListItemProps(index));
+      this.listItems.push(listItem);
+      rows.push(listItem);
+    }
+    if (this.elementCache) {
+      // Keep the cached elements of the rendered rows only
+      const elementCache = new Map();
+      for (const { props } of this.listItems) {
+        if (props.cacheKey) {
+          elementCache.set(
+            props.cacheKey,
+            this.elementCache.get(props.cacheKey)
+          );
+        }
+      }
+      this.elementCache = elementCache;
+    }
+    return rows;
+  }
+
+  renderGroupHeader(group) {
+    return $.li(
+      {
+        key: `group:${group}`,
+        className: "list-group-header",
+        on: { mousedown: (e) => e.preventDefault() },
+      },
+      group
+    );
+  }
+
+  /**
+   * Returns the props of the ListItemView showing the item at an index.
+   * @param {number} index - Index of the item in the filtered items
+   * @returns {Object} The ListItemView props
+   */
+  getListItemProps(index) {
+    const item = this.items[index];
+    if (isSeparator(item)) {
+      return {
+        key: `separator:${index}`,
+        element: createSeparatorElement(item),
+        selected: false,
+        marked: false,
+        disabled: false,
+        treeNode: null,
+        ontoggle: () => {},
+        onclick: () => {},
+        oncontextmenu: () => {},
+      };
+    }
+    const disabled = this.getDisabledReason(item);
+    const selected = this.getSelectedItem() === item;
+    const marked = this.isMarked(item);
+    const filterKey = this.getFilterKey(item);
+    const displayKey = this.getDisplayKey(item, filterKey);
+    const node = this.treeNodes && this.treeNodes.get(item);
+    const opts = {
+      selected,
+      marked,
+      disabled: Boolean(disabled),
+      index,
+      filterKey,
+      displayKey,
+    };
+    if (node) {
+      opts.depth = node.depth;
+    }
+    // Lazy getters - matchIndices only computed when accessed
+    Object.defineProperty(opts, "matchIndices", {
+      get: () => this.getMatchIndices(item, filterKey),
+      enumerable: true,
+    });
+    Object.defineProperty(opts, "displayMatchIndices", {
+      get: () =>
+        this.mapMatchIndices(this.getMatchIndices(item, filterKey), displayKey),
+      enumerable: true,
+    });
+    if (this.props.filterFieldsForItem) {
+      Object.defineProperty(opts, "fields", {
+        get: () => this.getFieldMatches(item),
+        enumerable: true,
+      });
+    }
+    const key = this.props.itemKey ? this.props.itemKey(item) : null;
+    const cacheKey = key != null ? `item:${key}` : undefined;
+    const element = cacheKey
+      ? this.getCachedElement(cacheKey, item, opts)
+      : this.resolveElement(item, opts);
+    return {
+      // Rows are keyed by their element: a rebuilt element gets a new
+      // ListItemView, as etch moves keyed rows by their previous element
+      key: `row:${getElementId(element)}`,
+      cacheKey,
+      element,
+      selected: selected,
+      marked: marked,
+      disabled: disabled,
+      treeNode: node
+        ? {
+            depth: node.depth,
+            expanded:
+              node.children.length > 0 ? this.isItemExpanded(item) : null,
+          }
+        : null,
+      ontoggle: () => {
+        this.selectIndex(index, false);
+        this.setItemExpanded(item);
+      },
+      onclick: (event) => this.didClickItem(index, event),
+      oncontextmenu: () => this.didContextMenuItem(index),
+    };
+  }
+
+  /**
+   * Returns the element of a keyed item, reusing the one rendered before if
+   * the item and the query did not change. Selection and marks only toggle
+   * classes of the reused element.
+   * @param {string} key - The row key
+   * @param {*} item - The item
+   * @param {Object} opts - Options for elementForItem
+   * @returns {HTMLElement} The element
+   */
+  getCachedElement(key, item, opts) {
+    if (!this.elementCache) this.elementCache = new Map();
+    const cached = this.elementCache.get(key);
+    if (
+      cached &&
+      cached.item === item &&
+      cached.query === this.processedQuery &&
+      cached.elementForItem === this.props.elementForItem
+    ) {
+      return cached.element;
+    }
+    const element = this.resolveElement(item, opts);
+    this.elementCache.set(key, {
+      item,
+      query: this.processedQuery,
+      elementForItem: this.props.elementForItem,
+      element,
+    });
+    return element;
+  }
+
+  renderVirtualSpacer(position, height) {
+    return $.li({
+      key: `spacer:${position}`,
+      className: "virtual-spacer",
+      style: {
+        height: `${height}px`,
+        padding: "0",
+        margin: "0",
+        border: "none",
+        pointerEvents: "none",
+      },
+    });
+  }
+
+  /**
+   * Returns the height used for rows that have not been measured yet.
+   * @returns {number} The estimated row height in pixels
+   */
+  getEstimatedItemHeight() {
+    if (this.props.itemHeight) return this.props.itemHeight;
+    if (this.rowHeights.size === 0) return 24;
+    let sum = 0;
+    for (const height of this.rowHeights.values()) {
+      sum += height;
+    }
+    return sum / this.rowHeights.size;
+  }
+
+  /**
+   * Returns the top offset of every row, plus the total height as last entry.
+   * Measured heights are used when known, the estimate otherwise. The offset
+   * of the first item of a group is the top of its header.
+   * @returns {number[]} Offsets in pixels, `items.length + 1` entries
+   */
+  getRowOffsets() {
+    if (this.rowOffsets && this.rowOffsets.length === this.items.length + 1) {
+      return this.rowOffsets;
+    }
+    const estimate = this.getEstimatedItemHeight();
+    const headerHeight = this.headerHeight || estimate;
+    const offsets = new Array(this.items.length + 1);
+    offsets[0] = 0;
+    for (let i = 0; i < this.items.length; i++) {
+      const height = this.rowHeights.get(this.items[i]);
+      offsets[i + 1] = offsets[i] + (height || estimate);
+      if (this.groupHeaders && this.groupHeaders.has(i)) {
+        offsets[i + 1] += headerHeight;
+      }
+    }
+    this.rowOffsets = offsets;
+    return offsets;
+  }
+
+  /**
+   * Computes which rows to materialize from the scroll position of the list.
+   * Right after selectIndex, the selected row is included, so it can be
+   * scrolled into view even if it was not rendered yet.
+   * @returns {{start: number, end: number}} Half-open range of item indices
+   */
+  computeVirtualRange() {
+    const offsets = this.getRowOffsets();
+    const count = this.items.length;
+    const overscan = this.props.overscan ?? 5;
+    const list = this.refs && this.refs.items;
+    const scrollTop = list ? list.scrollTop : 0;
+    const viewportHeight =
+      (list && list.clientHeight) || this.getEstimatedItemHeight() * 20;
+
+    let start = findOffsetIndex(offsets, scrollTop);
+    let end = findOffsetIndex(offsets, scrollTop + viewportHeight) + 1;
+    const visible = end - start;
+
+    const index = this.scrollToSelection ? this.selectionIndex : undefined;
+    if (index !== undefined && (index < start || index >= end)) {
+      start = index < start ? index : Math.max(0, index - visible + 1);
+      end = start + visible;
+    }
+
+    start = Math.max(0, start - overscan);
+    end = Math.min(count, end + overscan);
+    return { start, end };
+  }
+
+  isIndexRendered(index) {
+    if (!this.virtualRange) return true;
+    return index >= this.virtualRange.start && index < this.virtualRange.end;
+  }
+
+  didScrollItems() {
+    if (!this.virtualRange) return;
+    const { start, end } = this.computeVirtualRange();
+    if (start !== this.virtualRange.start || end !== this.virtualRange.end) {
+      etch.update(this);
+    }
+  }
+
+  /**
+   * Measures the rendered rows in virtual scroll mode. Re-renders when a
+   * measured height differs from the one used to lay out the list.
+   */
+  readAfterUpdate() {
+    if (!this.virtualRange || !this.listItems) return;
+    let changed = false;
+    for (let i = 0; i < this.listItems.length; i++) {
+      const component = this.listItems[i].component;
+      if (!component) continue;
+      const height = component.element.offsetHeight;
+      if (!height) continue;
+      const item = this.items[this.virtualRange.start + i];
+      if (this.rowHeights.get(item) !== height) {
+        this.rowHeights.set(item, height);
+        changed = true;
+      }
+    }
+    const header = this.refs.items.querySelector(".list-group-header");
+    const headerHeight = header ? header.offsetHeight : 0;
+    if (headerHeight && headerHeight !== this.headerHeight) {
+      this.headerHeight = headerHeight;
+      changed = true;
+    }
+    if (changed) {
+      this.rowOffsets = null;
+      etch.update(this);
+    }
+  }
+
   renderErrorMessage() {
-    if (this.props.errorMessage) {
+    // A failed filter, items source or drill-down is reported unless the
+    // props override it
+    const errorMessage =
+      this.props.errorMessage ||
+      this.filterError ||
+      this.streamError ||
+      this.childrenError;
+    if (errorMessage) {
       return $.div(
         { ref: "errorMessage", className: "error-message" },
-        this.props.errorMessage
+        errorMessage
       );
     } else {
       return "";
@@ -468,22 +1586,72 @@ class SelectListView {
     }
   }
 
+  renderBreadcrumbs() {
+    const path = this.getDrillDownPath();
+    if (path.length === 0) {
+      return "";
+    }
+    const crumbs = [
+      $.span({
+        className: "breadcrumb icon icon-home",
+        title: "Top level",
+        on: { click: () => this.popToLevel(0) },
+      }),
+    ];
+    path.forEach((level, index) => {
+      const isCurrent = index === path.length - 1;
+      crumbs.push(
+        $.span({ className: "breadcrumb-separator" }, "/"),
+        $.span(
+          {
+            className: isCurrent ? "breadcrumb current" : "breadcrumb",
+            on: isCurrent ? {} : { click: () => this.popToLevel(index + 1) },
+          },
+          level.name
+        )
+      );
+    });
+    return $.div(
+      {
+        ref: "breadcrumbs",
+        className: "breadcrumbs",
+        style: { display: "flex", flexWrap: "wrap", gap: "4px" },
+        on: { mousedown: (e) => e.preventDefault() },
+      },
+      ...crumbs
+    );
+  }
+
   renderLoadingMessage() {
-    if (this.props.loadingMessage) {
+    // A running items source, async filter or children request shows its
+    // progress unless the props override it
+    const stream = this.itemsStream;
+    const filtering = this.isFiltering();
+    const loadingMessage =
+      this.props.loadingMessage ||
+      (stream || this.pendingChildren
+        ? "Loading items\u2026"
+        : filtering
+        ? "Filtering items\u2026"
+        : "");
+    const loadingSpinner =
+      this.props.loadingSpinner ||
+      Boolean(stream || this.pendingChildren) ||
+      filtering;
+    const loadingBadge =
+      this.props.loadingBadge || (stream && stream.count ? stream.count : "");
+    if (loadingMessage) {
       return $.div(
         { className: "loading", style: "display: flex; align-items: center;" },
         $.div(
           { ref: "loadingMessage", className: "loading-message" },
-          this.props.loadingMessage
+          loadingMessage
         ),
-        this.props.loadingSpinner
+        loadingSpinner
           ? $.span({ className: "loading-spinner-tiny inline-block" })
           : "",
-        this.props.loadingBadge
-          ? $.span(
-              { ref: "loadingBadge", className: "badge" },
-              this.props.loadingBadge
-            )
+        loadingBadge
+          ? $.span({ ref: "loadingBadge", className: "badge" }, loadingBadge)
           : ""
       );
     } else {
@@ -550,9 +1718,106 @@ class SelectListView {
   }
 
   getFilterQuery() {
-    return this.props.filterQuery
-      ? this.props.filterQuery(this.getQuery())
-      : this.getQuery();
+    let query = this.getQuery();
+    if (this.activeProvider && this.activeProvider.prefix) {
+      query = query.slice(this.activeProvider.prefix.length);
+    }
+    return this.props.filterQuery ? this.props.filterQuery(query) : query;
+  }
+
+  /**
+   * Returns the provider whose prefix starts the query. The longest prefix
+   * wins; a provider without prefix handles queries no other one claims.
+   * @param {string} query - The raw query
+   * @returns {Object|null} The matching provider, or null to use the list's own props
+   */
+  findProvider(query) {
+    let match = null;
+    let fallback = null;
+    for (const provider of this.props.providers || []) {
+      if (!provider.prefix) {
+        fallback = fallback || provider;
+      } else if (
+        query.startsWith(provider.prefix) &&
+        (!match || provider.prefix.length > match.prefix.length)
+      ) {
+        match = provider;
+      }
+    }
+    return match || fallback;
+  }
+
+  /**
+   * Returns the provider handling the current query.
+   * @returns {Object|null} The active provider, or null
+   */
+  getActiveProvider() {
+    return this.activeProvider || null;
+  }
+
+  /**
+   * Makes a provider active: its props replace the list's own ones and its
+   * candidates are swapped into the matcher. Candidates of the previous
+   * provider are kept, so switching back does not rebuild them.
+   * @param {Object|null} provider - The provider, or null for the list's own props
+   */
+  applyProvider(provider) {
+    if (this.candidates && this.providerStates) {
+      this.providerStates.set(this.activeProvider || null, {
+        items: this.props.items,
+        filterKeyForItem: this.props.filterKeyForItem,
+        filterFieldsForItem: this.props.filterFieldsForItem,
+        childrenForItem: this.props.childrenForItem,
+        candidates: this.candidates,
+        itemByIndex: this.itemByIndex,
+        candidateFields: this.candidateFields,
+        fieldsByItem: this.fieldsByItem,
+        treeNodes: this.treeNodes,
+        treeItems: this.treeItems,
+        filterMatcher: this.filterMatcher,
+      });
+    }
+
+    this.activeProvider = provider;
+    for (const key of PROVIDER_PROPS) {
+      this.props[key] =
+        provider && key in provider
+          ? provider[key]
+          : this.providerDefaults[key];
+    }
+    if (typeof this.props.items === "function") {
+      this.props.items = this.props.items();
+    }
+    if (!this.props.items) {
+      this.props.items = [];
+    }
+
+    const state = this.providerStates && this.providerStates.get(provider);
+    if (
+      state &&
+      state.items === this.props.items &&
+      state.filterKeyForItem === this.props.filterKeyForItem &&
+      state.filterFieldsForItem === this.props.filterFieldsForItem &&
+      state.childrenForItem === this.props.childrenForItem
+    ) {
+      this.candidates = state.candidates;
+      this.itemByIndex = state.itemByIndex;
+      this.candidateFields = state.candidateFields;
+      this.fieldsByItem = state.fieldsByItem;
+      this.treeNodes = state.treeNodes;
+      this.treeItems = state.treeItems;
+      this.filterMatcher = state.filterMatcher;
+    } else {
+      this.filterMatcher = state ? state.filterMatcher : null;
+      this.buildCandidates();
+    }
+
+    this.computeHelp();
+    if (this.refs && this.refs.queryEditor) {
+      this.refs.queryEditor.setPlaceholderText(
+        this.props.placeholderText || ""
+      );
+    }
   }
 
   setQueryFromSelection() {
@@ -566,152 +1831,1856 @@ class SelectListView {
   }
 
   didChangeQuery() {
+    // Switch providers first, so the callback gets the query without the
+    // prefix of the new provider
+    if (this.props.providers && !this.currentLevel) {
+      const provider = this.findProvider(this.getQuery());
+      if (provider !== this.activeProvider) {
+        this.applyProvider(provider);
+      }
+    }
     if (this.props.didChangeQuery) {
       this.props.didChangeQuery(this.getFilterQuery());
     }
 
     this.hideHelp();
-    this.filterItems();
+    if (this.props.filter && this.props.filter === this.asyncFilter) {
+      this.scheduleFilter();
+    } else {
+      this.filterItems();
+    }
   }
 
-  didClickItem(itemIndex) {
-    this.selectIndex(itemIndex);
-    this.confirmSelection();
+  /**
+   * Returns the query history of this list, most recent first.
+   * @returns {string[]} The recorded queries, or an empty array without `historyKey`
+   */
+  getQueryHistory() {
+    if (!this.props.historyKey) return [];
+    return QueryHistory.forKey(this.props.historyKey).entries.slice();
   }
 
   /**
-   * Filters items based on current query.
-   * Called on query change (uses existing candidates).
+   * Removes all recorded queries of this list.
    */
-  filterItems(updateComponent) {
-    this.listItems = null;
-    this.matchIndicesMap = new Map();
-    this.filterKeyMap = new Map();
-
-    const filterFn = this.props.filter || this.fuzzyFilter.bind(this);
-    this.processedQuery = this.getFilterQuery();
-    this.items = filterFn(this.props.items.slice(), this.processedQuery);
-    if (this.props.order) {
-      this.items.sort(this.props.order);
-    }
-    if (this.props.maxResults) {
-      this.items = this.items.slice(0, this.props.maxResults);
-    }
+  clearQueryHistory() {
+    if (!this.props.historyKey) return;
+    QueryHistory.forKey(this.props.historyKey).clear();
+    this.historyIndex = -1;
+  }
 
-    this.selectIndex(this.props.initialSelectionIndex, updateComponent);
+  /**
+   * Records the current query in the history if `historyKey` is set.
+   */
+  recordQuery() {
+    if (!this.props.historyKey || this.isSubListShown()) return;
+    const query = this.getQuery();
+    if (!query.trim()) return;
+    QueryHistory.forKey(this.props.historyKey).add(
+      query,
+      this.props.historySize
+    );
+    this.historyIndex = -1;
   }
 
   /**
-   * Builds candidates array and initializes the matcher.
-   * Called when items or filter settings change.
+   * Replaces the query with the previous (older) entry of the history.
+   * The query typed before recalling is restored by recallNextQuery.
    */
-  buildCandidates() {
-    this.candidates = [];
-    this.itemByIndex = [];
-    for (const item of this.props.items) {
-      let filterKey = this.props.filterKeyForItem
-        ? this.props.filterKeyForItem(item)
-        : item;
-      if (this.props.removeDiacritics) {
-        filterKey = Diacritics.clean(filterKey);
-      }
-      this.candidates.push(filterKey);
-      this.itemByIndex.push(item);
-    }
-    if (this.filterMatcher) {
-      atom.ui.fuzzyMatcher.setCandidates(this.filterMatcher, this.candidates);
-    } else {
-      this.filterMatcher = atom.ui.fuzzyMatcher.setCandidates(this.candidates);
+  recallPreviousQuery() {
+    const entries = this.getQueryHistory();
+    if (this.historyIndex + 1 >= entries.length) return;
+    if (this.historyIndex === -1) {
+      this.draftQuery = this.getQuery();
     }
+    this.historyIndex++;
+    this.setRecalledQuery(entries[this.historyIndex]);
   }
 
-  fuzzyFilter(items, query) {
-    if (query.length === 0) {
-      return items;
-    }
-    if (this.props.removeDiacritics) {
-      query = Diacritics.clean(query);
-      this.processedQuery = query;
-    }
-    const matchOptions = {
-      recordMatchIndexes: false,
-    };
-    if (this.props.algorithm) matchOptions.algorithm = this.props.algorithm;
-    if (this.props.numThreads) matchOptions.numThreads = this.props.numThreads;
-    if (this.props.maxGap !== undefined)
-      matchOptions.maxGap = this.props.maxGap;
-    const results = this.filterMatcher.match(query, matchOptions);
-    const modifyScore = this.props.filterScoreModifier;
-    const scoredItems = [];
-    for (const result of results) {
-      const item = this.itemByIndex[result.id];
-      let score = result.score;
-      if (modifyScore) {
-        score = modifyScore(score, item);
-      }
-      if (score > 0) {
-        scoredItems.push({ item, score, filterKey: this.candidates[result.id] });
-      }
-    }
-    if (modifyScore) {
-      scoredItems.sort((a, b) => b.score - a.score);
+  /**
+   * Replaces the query with the next (newer) entry of the history, or with
+   * the query typed before recalling when the newest entry is passed.
+   */
+  recallNextQuery() {
+    if (this.historyIndex === -1) return;
+    const entries = this.getQueryHistory();
+    this.historyIndex--;
+    this.setRecalledQuery(
+      this.historyIndex === -1 ? this.draftQuery : entries[this.historyIndex]
+    );
+  }
+
+  setRecalledQuery(query) {
+    this.recallingQuery = true;
+    try {
+      this.refs.queryEditor.setText(query || "");
+      this.refs.queryEditor.moveToEndOfLine();
+    } finally {
+      this.recallingQuery = false;
     }
-    for (const { item, filterKey } of scoredItems) {
-      this.filterKeyMap.set(item, filterKey);
+  }
+
+  /**
+   * Sets the query text without filtering or notifying didChangeQuery.
+   * @param {string} query - The new query text
+   */
+  setQuerySilently(query) {
+    this.ignoreQueryChange = true;
+    try {
+      this.refs.queryEditor.setText(query);
+    } finally {
+      this.ignoreQueryChange = false;
     }
-    return scoredItems.map((i) => i.item);
   }
 
   /**
-   * Returns the filter key for an item.
-   * @param {*} item - The item to get the filter key for
-   * @returns {string|null} The filter key string, or null
+   * Returns the frecency store of this list, or null without `itemId` or a
+   * key. Unrelated lists must not share their usage data, so there is no
+   * default key.
+   * @returns {FrecencyStore|null}
    */
-  getFilterKey(item) {
-    // Check stored filterKey from fuzzyFilter
-    let filterKey = this.filterKeyMap?.get(item);
-    if (filterKey) return filterKey;
+  getFrecencyStore() {
+    const key = this.props.frecencyKey || this.props.historyKey;
+    if (!this.props.itemId || !key) return null;
+    return FrecencyStore.forKey(key);
+  }
 
-    // Compute from filterKeyForItem
-    if (this.props.filterKeyForItem) {
-      filterKey = this.props.filterKeyForItem(item);
-      if (this.props.removeDiacritics) {
-        filterKey = Diacritics.clean(filterKey);
+  /**
+   * Returns the frecency of an item: its confirmation count, decayed by the
+   * time since each confirmation with a half-life of `frecencyHalfLife`.
+   * @param {*} item - The item to get the frecency for
+   * @returns {number} The frecency, or 0 if the item was never confirmed
+   */
+  getFrecency(item) {
+    const store = this.getFrecencyStore();
+    if (!store) return 0;
+    const id = this.props.itemId(item);
+    if (id == null) return 0;
+    return store.get(String(id), Date.now(), this.getFrecencyHalfLife());
+  }
+
+  getFrecencyHalfLife() {
+    return this.props.frecencyHalfLife || 7 * 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Records a confirmation of the items in the frecency store.
+   * @param {Array} items - The confirmed items
+   */
+  recordFrecency(items) {
+    const store = this.getFrecencyStore();
+    if (!store || this.isSubListShown()) return;
+    const now = Date.now();
+    for (const item of items) {
+      const id = this.props.itemId(item);
+      if (id != null) {
+        store.add(String(id), now, this.getFrecencyHalfLife());
       }
-      return filterKey;
     }
+    store.save();
+  }
 
-    // Fall back to item itself if string
-    return typeof item === "string" ? item : null;
+  /**
+   * Removes an item from the frecency store and re-filters the list.
+   * @param {*} item - The item to forget
+   * @returns {Promise} Resolves when the component has updated
+   */
+  forgetItem(item) {
+    const store = this.getFrecencyStore();
+    if (!store) return Promise.resolve();
+    const id = this.props.itemId(item);
+    if (id == null || !store.delete(String(id))) return Promise.resolve();
+    store.save();
+    return this.filterItems(undefined, true);
   }
 
   /**
-   * Returns the match indices for an item, computing lazily if needed.
-   * Match indices indicate which characters in the filter key matched the query.
-   * @param {*} item - The item to get match indices for
-   * @param {string} [filterKey] - Optional filter key override. If not provided,
-   *   uses the stored filterKey from fuzzyFilter or computes from filterKeyForItem.
-   * @returns {number[]|null} Array of character indices that matched, or null
+   * Removes all items from the frecency store and re-filters the list.
+   * @returns {Promise} Resolves when the component has updated
    */
-  getMatchIndices(item, filterKey) {
-    // Check cache first
-    const cached = this.matchIndicesMap?.get(item);
-    if (cached !== undefined) return cached;
+  clearFrecency() {
+    const store = this.getFrecencyStore();
+    if (!store) return Promise.resolve();
+    store.clear();
+    return this.filterItems(undefined, true);
+  }
 
-    // Use provided filterKey or get from item
-    if (!filterKey) {
-      filterKey = this.getFilterKey(item);
+  /**
+   * Temporarily replaces the items and item-related props, keeping the
+   * current ones on a stack. The query is cleared and restored by popLevel,
+   * together with the selected item.
+   * @param {Object} level - The level to show
+   * @param {string} [level.name] - Label shown in the query row
+   * @param {Object} level.props - Values for the props a provider can define
+   */
+  pushLevel(level) {
+    if (!this.levels) this.levels = [];
+    this.levels.push({
+      level: this.currentLevel || null,
+      props: pickProviderProps(this.props),
+      activeProvider: this.activeProvider,
+      candidates: this.candidates,
+      itemByIndex: this.itemByIndex,
+      candidateFields: this.candidateFields,
+      fieldsByItem: this.fieldsByItem,
+      treeNodes: this.treeNodes,
+      treeItems: this.treeItems,
+      treeFilter: this.treeFilter,
+      filterMatcher: this.filterMatcher,
+      query: this.getQuery(),
+      processedQuery: this.processedQuery,
+      filterKeyMap: this.filterKeyMap,
+      items: this.items,
+      selectedItem: this.getSelectedItem(),
+    });
+    this.currentLevel = level;
+    this.activeProvider = null;
+    for (const key of PROVIDER_PROPS) {
+      this.props[key] = level.props[key];
+    }
+    if (!this.props.items) {
+      this.props.items = [];
     }
+    this.filterMatcher = null;
+    this.buildCandidates();
+    this.computeHelp();
+    this.refs.queryEditor.setPlaceholderText(this.props.placeholderText || "");
+    this.setQuerySilently("");
+    return this.filterItems();
+  }
 
-    if (!filterKey || !this.processedQuery) {
-      return null;
+  /**
+   * Restores the items, props, query and selection saved by pushLevel.
+   * @returns {Promise} Resolves when the component has updated
+   */
+  popLevel() {
+    this.pendingChildren = null;
+    this.childrenError = null;
+    if (!this.currentLevel) return Promise.resolve();
+    const saved = this.levels.pop();
+    this.currentLevel = saved.level;
+    this.activeProvider = saved.activeProvider;
+    for (const key of PROVIDER_PROPS) {
+      this.props[key] = saved.props[key];
+    }
+    this.candidates = saved.candidates;
+    this.itemByIndex = saved.itemByIndex;
+    this.candidateFields = saved.candidateFields;
+    this.fieldsByItem = saved.fieldsByItem;
+    this.treeNodes = saved.treeNodes;
+    this.treeItems = saved.treeItems;
+    this.treeFilter = saved.treeFilter;
+    this.filterMatcher = saved.filterMatcher;
+    if (!this.candidates) {
+      // The list's items changed while the level was shown
+      this.buildCandidates();
+    }
+    this.computeHelp();
+    this.refs.queryEditor.setPlaceholderText(this.props.placeholderText || "");
+    this.setQuerySilently(saved.query);
+    // Show the saved results while they are filtered again, in case the
+    // filter is async
+    this.processedQuery = saved.processedQuery;
+    this.filterKeyMap = saved.filterKeyMap;
+    this.displayItems(saved.items || [], saved.selectedItem, false);
+    this.filterItems(false, true);
+    if (!this.currentLevel && this.itemsStream) {
+      this.flushItemsStream(this.itemsStream);
     }
+    return this.selectIndex(this.selectionIndex);
+  }
 
-    // Use reusable matcher for index computation (like fuzzy-finder)
-    if (!this.indexMatcher) {
-      this.indexMatcher = atom.ui.fuzzyMatcher.setCandidates([filterKey]);
-    } else {
-      atom.ui.fuzzyMatcher.setCandidates(this.indexMatcher, [filterKey]);
+  popAllLevels() {
+    this.pendingChildren = null;
+    this.childrenError = null;
+    while (this.currentLevel) {
+      this.popLevel();
+    }
+  }
+
+  /**
+   * Shows the children of an item as a new level and adds the item to the
+   * breadcrumbs. The children inherit the item-related props of the current
+   * level; popLevel returns to it, restoring its query and selection.
+   * @param {*} item - The item to open
+   * @param {Array|Promise} [children] - The children of the item. Defaults
+   *   to the result of childrenForItem
+   * @returns {Promise} Resolves when the component has updated
+   */
+  async drillDown(item, children = this.props.childrenForItem(item)) {
+    this.childrenError = null;
+    if (children && typeof children.then === "function") {
+      const pending = { item };
+      this.pendingChildren = pending;
+      etch.update(this);
+      try {
+        children = await children;
+      } catch (error) {
+        if (this.pendingChildren !== pending) return;
+        this.pendingChildren = null;
+        this.childrenError = error.message || String(error);
+        return etch.update(this);
+      }
+      // A newer request, popLevel or hide cancels this one
+      if (this.pendingChildren !== pending) return;
+      this.pendingChildren = null;
+    }
+    return this.pushLevel({
+      name: String(this.getDisplayKey(item) ?? item),
+      item,
+      drillDown: true,
+      props: { ...pickProviderProps(this.props), items: children || [] },
+    });
+  }
+
+  /**
+   * Returns the levels opened by drillDown, from the outermost one.
+   * @returns {Object[]} Levels with the `name` and `item` they were opened for
+   */
+  getDrillDownPath() {
+    if (!this.currentLevel) return [];
+    return this.levels
+      .slice(1)
+      .map((saved) => saved.level)
+      .concat(this.currentLevel)
+      .filter((level) => level.drillDown);
+  }
+
+  /**
+   * Returns whether the items are shown as a tree, with the `tree` prop and
+   * `childrenForItem`.
+   * @returns {boolean} True in tree mode
+   */
+  isTreeMode() {
+    return Boolean(this.props.tree && this.props.childrenForItem);
+  }
+
+  /**
+   * Returns whether an item shows its children in tree mode. While filtering,
+   * the ancestors of the matches are expanded unless collapsed by the user.
+   * @param {*} item - The item
+   * @returns {boolean} True if the item is expanded
+   */
+  isItemExpanded(item) {
+    const filter = this.treeFilter;
+    if (filter && filter.ancestors.has(item)) {
+      return !filter.collapsed.has(item);
+    }
+    return this.expandedItems.has(item);
+  }
+
+  /**
+   * Expands or collapses an item in tree mode.
+   * @param {*} item - The item
+   * @param {boolean} [expanded] - Whether to expand the item. Defaults to
+   *   toggling it
+   * @returns {Promise} Resolves when the component has updated
+   */
+  setItemExpanded(item, expanded = !this.isItemExpanded(item)) {
+    const node = this.treeNodes && this.treeNodes.get(item);
+    if (!node || node.children.length === 0) return Promise.resolve();
+    const filter = this.treeFilter;
+    if (filter && filter.ancestors.has(item)) {
+      if (expanded) {
+        filter.collapsed.delete(item);
+      } else {
+        filter.collapsed.add(item);
+      }
+    } else if (expanded) {
+      this.expandedItems.add(item);
+    } else {
+      this.expandedItems.delete(item);
+    }
+    // A selected descendant of a collapsed item passes the selection to it
+    const rows = this.getTreeRows();
+    const selectedItem = this.getSelectedItem();
+    return this.displayItems(
+      rows,
+      rows.includes(selectedItem) ? selectedItem : item
+    );
+  }
+
+  /**
+   * Expands the selected item, or selects its first child if it is already
+   * expanded.
+   * @returns {Promise} Resolves when the component has updated
+   */
+  expandSelectedItem() {
+    const item = this.getSelectedItem();
+    const node = this.treeNodes && this.treeNodes.get(item);
+    if (!node || node.children.length === 0) return Promise.resolve();
+    if (!this.isItemExpanded(item)) {
+      return this.setItemExpanded(item, true);
+    }
+    return this.selectNext();
+  }
+
+  /**
+   * Collapses the selected item, or selects its parent if it is already
+   * collapsed.
+   * @returns {Promise} Resolves when the component has updated
+   */
+  collapseSelectedItem() {
+    const item = this.getSelectedItem();
+    const node = this.treeNodes && this.treeNodes.get(item);
+    if (!node) return Promise.resolve();
+    if (node.children.length > 0 && this.isItemExpanded(item)) {
+      return this.setItemExpanded(item, false);
+    }
+    if (node.parent === null) return Promise.resolve();
+    return this.selectItem(node.parent);
+  }
+
+  /**
+   * Pops levels until the given number of drill-down levels remain.
+   * @param {number} depth - Number of drill-down levels to keep
+   * @returns {Promise} Resolves when the component has updated
+   */
+  popToLevel(depth) {
+    let promise = Promise.resolve();
+    while (this.getDrillDownPath().length > depth) {
+      promise = this.popLevel();
+    }
+    return promise;
+  }
+
+  /**
+   * Returns whether a level that does not show the list's items, such as the
+   * actions sub-list, is shown. Drill-down levels show items.
+   * @returns {boolean} True while such a level is shown
+   */
+  isSubListShown() {
+    return Boolean(this.currentLevel && !this.currentLevel.drillDown);
+  }
+
+  /**
+   * Returns whether the shown items can be marked: in `multiSelect` mode,
+   * outside of help mode and of sub-lists such as the actions.
+   * @returns {boolean} True if marking is possible
+   */
+  canMark() {
+    return (
+      Boolean(this.props.multiSelect) &&
+      !this.isHelpMode() &&
+      !this.isSubListShown()
+    );
+  }
+
+  /**
+   * Returns the actions of an item, or an empty array. Items of the actions
+   * sub-list have no actions.
+   * @param {*} item - The item to get actions for
+   * @returns {Object[]} The actions from actionsForItem
+   */
+  getActionsForItem(item) {
+    if (!this.props.actionsForItem || item == null || this.isSubListShown()) {
+      return [];
+    }
+    return this.props.actionsForItem(item) || [];
+  }
+
+  /**
+   * Shows the actions of an item as a sub-list in place of the items.
+   * Confirming an action returns to the items and runs it; cancelling only
+   * returns to the items.
+   * @param {*} [item] - The item whose actions to show. Defaults to the selected item
+   * @returns {Promise} Resolves when the component has updated
+   */
+  showActions(item = this.getSelectedItem()) {
+    const actions = this.getActionsForItem(item);
+    if (actions.length === 0) return Promise.resolve();
+    return this.pushLevel({
+      name: "Actions",
+      props: {
+        items: actions,
+        filterKeyForItem: (action) => action.label,
+        elementForItem: (action, { filterKey, matchIndices }) => {
+          const li = document.createElement("li");
+          if (action.icon) {
+            li.classList.add("icon", action.icon);
+          }
+          li.appendChild(highlightMatches(filterKey, matchIndices));
+          return li;
+        },
+        didConfirmSelection: (action) => {
+          this.popLevel();
+          this.runAction(action, item);
+        },
+        placeholderText: "Select an action",
+        emptyMessage: "No matching actions",
+      },
+    });
+  }
+
+  runAction(action, item) {
+    if (action && action.callback) {
+      action.callback(item);
+    }
+  }
+
+  /**
+   * Selects a right-clicked item and builds the context menu from its actions.
+   * The menu is shown by Pulsar after the event bubbles up to the document.
+   * @param {number} itemIndex - Index of the right-clicked item
+   */
+  didContextMenuItem(itemIndex) {
+    if (!this.isItemSelectable(this.items[itemIndex])) return;
+    this.selectIndex(itemIndex);
+    if (this.contextMenuDisposable) {
+      this.contextMenuDisposable.dispose();
+      this.contextMenuDisposable = null;
+    }
+    const item = this.items[itemIndex];
+    const actions = this.getActionsForItem(item);
+    if (actions.length === 0) return;
+    this.contextMenuActions = { item, actions };
+    this.contextMenuDisposable = atom.contextMenu.add({
+      ".select-list li": actions.map((action, index) => ({
+        label: action.label,
+        command: "select-list:run-action",
+        commandDetail: { index },
+        shouldDisplay: (event) => this.element.contains(event.target),
+      })),
+    });
+  }
+
+  /**
+   * Returns whether the preview pane is shown.
+   * @returns {boolean} True if previewForItem is set and the pane is toggled on
+   */
+  isPreviewVisible() {
+    return Boolean(this.props.previewForItem && this.previewVisible);
+  }
+
+  /**
+   * Toggles the preview pane.
+   * @returns {Promise} Resolves when the component has updated
+   */
+  togglePreview() {
+    this.previewVisible = !this.previewVisible;
+    if (this.previewVisible) {
+      this.schedulePreview();
+    } else {
+      this.cancelPreview();
+    }
+    return etch.update(this);
+  }
+
+  /**
+   * Updates the preview for the selected item after `previewDelay`.
+   * A pending or running preview is cancelled first.
+   */
+  schedulePreview() {
+    this.cancelPreview();
+    if (!this.isPreviewVisible()) return;
+    this.previewTimer = setTimeout(() => {
+      this.previewTimer = null;
+      this.updatePreview();
+    }, this.props.previewDelay ?? 100);
+  }
+
+  cancelPreview() {
+    if (this.previewTimer) {
+      clearTimeout(this.previewTimer);
+      this.previewTimer = null;
+    }
+    if (this.previewController) {
+      this.previewController.abort();
+      this.previewController = null;
+    }
+  }
+
+  /**
+   * Calls previewForItem for the selected item and shows the result.
+   * Results of previews cancelled in the meantime are dropped.
+   */
+  async updatePreview() {
+    const item = this.getSelectedItem();
+    const controller = new AbortController();
+    this.previewController = controller;
+    let preview = null;
+    if (item != null && this.props.previewForItem) {
+      try {
+        preview = await this.props.previewForItem(item, {
+          signal: controller.signal,
+        });
+      } catch (error) {
+        if (controller.signal.aborted) return;
+        preview = document.createElement("div");
+        preview.className = "error-message";
+        preview.textContent = error.message || String(error);
+      }
+    }
+    if (this.previewController !== controller) return;
+    this.previewController = null;
+    this.showPreviewContent(preview);
+  }
+
+  /**
+   * Replaces the content of the preview pane.
+   * @param {string|Node|Object|null} preview - Text, a DOM node, or an object
+   *   describing a read-only editor (see createPreviewEditor)
+   */
+  showPreviewContent(preview) {
+    if (this.previewEditor) {
+      this.previewEditor.destroy();
+      this.previewEditor = null;
+    }
+    let node = null;
+    if (preview instanceof Node) {
+      node = preview;
+    } else if (typeof preview === "string") {
+      node = document.createElement("pre");
+      node.className = "preview-text";
+      node.textContent = preview;
+    } else if (preview) {
+      this.previewEditor = this.createPreviewEditor(preview);
+      node = this.previewEditor.element;
+      node.style.height = "100%";
+    }
+    this.previewNode = node;
+    const content = this.refs.previewContent;
+    if (content) {
+      content.textContent = "";
+      if (node) content.appendChild(node);
+    }
+  }
+
+  /**
+   * Creates a read-only editor for the preview pane.
+   * @param {Object} options - Editor options
+   * @param {string} [options.text] - Text to show
+   * @param {TextBuffer} [options.buffer] - Buffer to show instead of text
+   * @param {string|Grammar} [options.grammar] - Grammar or its scope name
+   * @param {number} [options.line] - Zero-based row to scroll to and put the cursor on
+   * @returns {TextEditor} The created editor
+   */
+  createPreviewEditor({ text, buffer, grammar, line }) {
+    const { TextEditor } = requireAtom();
+    const editor = new TextEditor({ buffer, readOnly: true });
+    if (text !== undefined) {
+      editor.setText(text, { bypassReadOnly: true });
+    }
+    if (typeof grammar === "string") {
+      atom.grammars.assignLanguageMode(editor.getBuffer(), grammar);
+    } else if (grammar) {
+      atom.grammars.assignGrammar(editor.getBuffer(), grammar);
+    }
+    if (line !== undefined) {
+      editor.setCursorBufferPosition([line, 0]);
+      editor.scrollToBufferPosition([line, 0], { center: true });
+    }
+    return editor;
+  }
+
+  didClickItem(itemIndex, event) {
+    if (!this.isItemSelectable(this.items[itemIndex])) return;
+    this.selectIndex(itemIndex);
+    if (this.canMark() && event && (event.ctrlKey || event.metaKey)) {
+      this.toggleMark();
+      return;
+    }
+    this.confirmSelection();
+  }
+
+  /**
+   * Filters items based on current query.
+   * Called on query change (uses existing candidates).
+   * @param {boolean} [updateComponent] - Whether to update the component
+   * @param {boolean} [keepSelection=false] - Whether to keep the selected item
+   *   selected if it is still in the results, instead of selecting
+   *   `initialSelectionIndex`
+   */
+  filterItems(updateComponent, keepSelection = false) {
+    this.cancelFilter();
+    const query = this.getFilterQuery();
+    if (!this.props.filter) {
+      this.processedQuery = query;
+      this.filterKeyMap = new Map();
+      const items = this.fuzzyFilter(this.getSearchedItems(), query);
+      return this.setFilteredItems(items, updateComponent, keepSelection);
+    }
+
+    const filter = this.props.filter;
+    const controller = new AbortController();
+    const result = filter(this.getSearchedItems(), query, {
+      signal: controller.signal,
+    });
+    if (!result || typeof result.then !== "function") {
+      this.processedQuery = query;
+      this.filterKeyMap = new Map();
+      return this.setFilteredItems(result, updateComponent, keepSelection);
+    }
+
+    // Async filter: the current results stay visible until the new ones arrive
+    this.asyncFilter = filter;
+    const pending = { controller };
+    this.pendingFilter = pending;
+    pending.promise = Promise.resolve(result).then(
+      (items) => {
+        if (this.pendingFilter !== pending) return;
+        this.pendingFilter = null;
+        this.processedQuery = query;
+        this.filterKeyMap = new Map();
+        return this.setFilteredItems(items || [], true, keepSelection);
+      },
+      (error) => {
+        if (this.pendingFilter !== pending) return;
+        this.pendingFilter = null;
+        this.filterError = error.message || String(error);
+        return etch.update(this);
+      }
+    );
+    if (updateComponent !== false) {
+      etch.update(this);
+    }
+    return pending.promise;
+  }
+
+  /**
+   * Orders, groups and caps the filtered items and shows them.
+   * @param {Array} items - The items returned by the filter
+   * @param {boolean} [updateComponent] - Whether to update the component
+   * @param {boolean} [keepSelection=false] - Whether to keep the selected item
+   * @returns {Promise} Resolves when the component has updated
+   */
+  setFilteredItems(items, updateComponent, keepSelection = false) {
+    this.filterError = null;
+    const previousItem = keepSelection ? this.getSelectedItem() : null;
+    if (this.props.order || (this.props.groupForItem && !this.treeNodes)) {
+      // Separators would end up anywhere once sorted or grouped
+      items = items.filter((item) => !isSeparator(item));
+    }
+    if (this.props.order) {
+      items.sort(this.props.order);
+    }
+    if (this.props.groupForItem && !this.treeNodes) {
+      items = this.groupItems(items);
+    }
+    if (this.props.maxResults) {
+      items = items.slice(0, this.props.maxResults);
+    }
+    items = trimSeparators(items);
+    if (this.treeNodes) {
+      return this.displayTree(items, previousItem, updateComponent);
+    }
+    return this.displayItems(items, previousItem, updateComponent);
+  }
+
+  /**
+   * Returns a copy of the items to filter: all nodes in tree mode, the
+   * `items` prop otherwise.
+   * @returns {Array} The items
+   */
+  getSearchedItems() {
+    return (this.treeItems || this.props.items).slice();
+  }
+
+  /**
+   * Shows the tree rows for the filtered items. While the query is not empty,
+   * the matches are shown with their ancestors, which are expanded, and the
+   * best match is selected.
+   * @param {Array} matches - The filtered items, best first
+   * @param {*} selectedItem - The item to keep selected, or null
+   * @param {boolean} [updateComponent] - Whether to update the component
+   * @returns {Promise} Resolves when the component has updated
+   */
+  displayTree(matches, selectedItem, updateComponent) {
+    const query = this.processedQuery;
+    if (!query) {
+      this.treeFilter = null;
+    } else {
+      const ancestors = new Set();
+      for (const item of matches) {
+        let node = this.treeNodes.get(item);
+        while (node && node.parent !== null && !ancestors.has(node.parent)) {
+          ancestors.add(node.parent);
+          node = this.treeNodes.get(node.parent);
+        }
+      }
+      // Collapsed ancestors stay collapsed until the query changes
+      const collapsed =
+        this.treeFilter && this.treeFilter.query === query
+          ? this.treeFilter.collapsed
+          : new Set();
+      this.treeFilter = {
+        query,
+        matches: new Set(matches),
+        ancestors,
+        collapsed,
+      };
+      if (selectedItem == null && matches.length > 0) {
+        selectedItem = matches[0];
+      }
+    }
+    return this.displayItems(this.getTreeRows(), selectedItem, updateComponent);
+  }
+
+  /**
+   * Returns the rows of the tree in depth-first order, skipping the children
+   * of collapsed items and, while filtering, the items that neither match nor
+   * contain a match.
+   * @returns {Array} The items to show
+   */
+  getTreeRows() {
+    const filter = this.treeFilter;
+    const isShown = (item) =>
+      !filter || filter.matches.has(item) || filter.ancestors.has(item);
+    const rows = [];
+    const visit = (item) => {
+      rows.push(item);
+      if (!this.isItemExpanded(item)) return;
+      // Below a match, all children are shown
+      const restricted = filter && filter.ancestors.has(item);
+      for (const child of this.treeNodes.get(item).children) {
+        if (!restricted || isShown(child)) visit(child);
+      }
+    };
+    for (const item of this.props.items) {
+      if (isShown(item)) visit(item);
+    }
+    return rows;
+  }
+
+  /**
+   * Replaces the shown items, selecting the given item if it is among them
+   * and `initialSelectionIndex` otherwise.
+   * @param {Array} items - The items to show
+   * @param {*} selectedItem - The item to keep selected, or null
+   * @param {boolean} [updateComponent] - Whether to update the component
+   * @returns {Promise} Resolves when the component has updated
+   */
+  displayItems(items, selectedItem, updateComponent) {
+    this.items = items;
+    this.listItems = null;
+    this.rowOffsets = null;
+    this.matchIndicesMap = new Map();
+    this.fieldMatchesMap = new Map();
+    this.computeGroupHeaders();
+
+    if (selectedItem != null) {
+      const index = this.indexOfItem(selectedItem);
+      if (index !== -1) {
+        this.selectionIndex = index;
+        return updateComponent === false
+          ? Promise.resolve()
+          : etch.update(this);
+      }
+    }
+
+    return this.selectIndex(this.props.initialSelectionIndex, updateComponent);
+  }
+
+  /**
+   * Returns the index of an item in the shown items, or of the item with the
+   * same `itemKey`.
+   * @param {*} item - The item to find
+   * @returns {number} The index, or -1 if not shown
+   */
+  indexOfItem(item) {
+    const index = this.items.indexOf(item);
+    if (index !== -1 || !this.props.itemKey) return index;
+    const key = this.props.itemKey(item);
+    return this.items.findIndex(
+      (shownItem) => this.props.itemKey(shownItem) === key
+    );
+  }
+
+  /**
+   * Filters the items after `filterDebounce` milliseconds, restarting the
+   * delay on each call. Used while typing when the filter is async.
+   */
+  scheduleFilter() {
+    this.cancelFilter();
+    const delay =
+      this.props.filterDebounce != null ? this.props.filterDebounce : 150;
+    this.filterTimeout = setTimeout(() => {
+      this.filterTimeout = null;
+      this.filterItems(true, false);
+    }, delay);
+    etch.update(this);
+  }
+
+  /**
+   * Cancels a scheduled or pending async filter. Its results are discarded
+   * and its AbortSignal is aborted.
+   */
+  cancelFilter() {
+    if (this.filterTimeout) {
+      clearTimeout(this.filterTimeout);
+      this.filterTimeout = null;
+    }
+    const pending = this.pendingFilter;
+    if (pending) {
+      this.pendingFilter = null;
+      pending.controller.abort();
+    }
+  }
+
+  /**
+   * Returns whether an async filter is scheduled or running.
+   * @returns {boolean} True until the results of the current query are shown
+   */
+  isFiltering() {
+    return Boolean(this.filterTimeout || this.pendingFilter);
+  }
+
+  /**
+   * Reorders items so that items of the same group are adjacent, keeping
+   * their relative order (and so the fuzzy ranking) within each group.
+   * Groups are ordered by `groupOrder`, then by first appearance.
+   * @param {Array} items - The filtered items
+   * @returns {Array} The grouped items, capped by `maxResultsPerGroup`
+   */
+  groupItems(items) {
+    const groups = new Map();
+    for (const item of items) {
+      const group = this.props.groupForItem(item);
+      let groupItems = groups.get(group);
+      if (!groupItems) {
+        groupItems = [];
+        groups.set(group, groupItems);
+      }
+      if (
+        !this.props.maxResultsPerGroup ||
+        groupItems.length < this.props.maxResultsPerGroup
+      ) {
+        groupItems.push(item);
+      }
+    }
+
+    const names = Array.from(groups.keys());
+    const groupOrder = this.props.groupOrder;
+    if (typeof groupOrder === "function") {
+      names.sort(groupOrder);
+    } else if (Array.isArray(groupOrder)) {
+      const rank = (name) => {
+        const index = groupOrder.indexOf(name);
+        return index === -1 ? groupOrder.length : index;
+      };
+      names.sort((a, b) => rank(a) - rank(b));
+    }
+
+    const grouped = [];
+    for (const name of names) {
+      for (const item of groups.get(name)) {
+        grouped.push(item);
+      }
+    }
+    return grouped;
+  }
+
+  /**
+   * Records the index of the first item of each group, where headers go.
+   */
+  computeGroupHeaders() {
+    if (!this.props.groupForItem) {
+      this.groupHeaders = null;
+      return;
+    }
+    this.groupHeaders = new Map();
+    let previous;
+    for (let index = 0; index < this.items.length; index++) {
+      const group = this.props.groupForItem(this.items[index]);
+      if (index === 0 || group !== previous) {
+        this.groupHeaders.set(index, group);
+      }
+      previous = group;
+    }
+  }
+
+  /**
+   * Selects the first item of the next group, wrapping around.
+   * @returns {Promise} Resolves when the component has updated
+   */
+  selectNextGroup() {
+    if (!this.groupHeaders || this.groupHeaders.size === 0) {
+      return this.selectNext();
+    }
+    const current = this.selectionIndex ?? -1;
+    for (const index of this.groupHeaders.keys()) {
+      if (index > current) {
+        return this.selectIndex(index);
+      }
+    }
+    return this.selectIndex(0);
+  }
+
+  /**
+   * Selects the first item of the previous group, wrapping around.
+   * @returns {Promise} Resolves when the component has updated
+   */
+  selectPreviousGroup() {
+    if (!this.groupHeaders || this.groupHeaders.size === 0) {
+      return this.selectPrevious();
+    }
+    const starts = Array.from(this.groupHeaders.keys());
+    const current = this.selectionIndex ?? this.items.length;
+    let currentStart = 0;
+    for (const index of starts) {
+      if (index <= current) currentStart = index;
+    }
+    const position = starts.indexOf(currentStart);
+    return this.selectIndex(
+      starts[position > 0 ? position - 1 : starts.length - 1]
+    );
+  }
+
+  /**
+   * Normalizes a filter key or query with the steps of the `normalize` prop,
+   * after removing diacritics if `removeDiacritics` is set.
+   * @param {string} text - The text to normalize
+   * @returns {string} The normalized text
+   */
+  normalize(text) {
+    const steps = getNormalizeSteps(this.props);
+    return steps.length > 0 && typeof text === "string"
+      ? normalizeText(text, steps)
+      : text;
+  }
+
+  /**
+   * Returns the fuzzy matcher selected by the `matcher` prop: Pulsar's native
+   * matcher when available, or the bundled JavaScript matcher.
+   * @returns {Object} An object implementing the `atom.ui.fuzzyMatcher` interface
+   */
+  getMatcher() {
+    return resolveMatcher(this.props.matcher, this.props.algorithm);
+  }
+
+  /**
+   * Builds candidates array and initializes the matcher.
+   * Called when items or filter settings change.
+   */
+  buildCandidates() {
+    this.candidates = [];
+    this.itemByIndex = [];
+    this.candidateFields = [];
+    this.fieldsByItem = new Map();
+    this.treeNodes = this.isTreeMode() ? new Map() : null;
+    this.treeItems = this.treeNodes ? [] : null;
+    this.appendCandidates(this.props.items);
+  }
+
+  /**
+   * Adds candidates for new items without recomputing existing filter keys.
+   * In tree mode, the descendants of the items are added too.
+   * @param {Array} items - Items already appended to the `items` prop
+   */
+  appendCandidates(items) {
+    for (const item of items) {
+      if (this.treeNodes) {
+        this.pushTreeNode(item, null, 0);
+      } else {
+        this.pushCandidates(item);
+      }
+    }
+    this.setMatcherCandidates();
+  }
+
+  /**
+   * Adds the candidates of an item and of its descendants to the tree.
+   * @param {*} item - The item
+   * @param {*} parent - The parent item, or null for a top-level item
+   * @param {number} depth - The nesting depth, 0 for a top-level item
+   */
+  pushTreeNode(item, parent, depth) {
+    const children = isSeparator(item)
+      ? null
+      : this.props.childrenForItem(item);
+    const node = {
+      parent,
+      depth,
+      children: Array.isArray(children) ? children : [],
+    };
+    this.treeNodes.set(item, node);
+    this.treeItems.push(item);
+    this.pushCandidates(item);
+    for (const child of node.children) {
+      this.pushTreeNode(child, item, depth + 1);
+    }
+  }
+
+  /**
+   * Adds the candidates of an item, computing its filter key or fields.
+   * @param {*} item - The item
+   */
+  pushCandidates(item) {
+    // Separators never match, they are only shown with an empty query
+    if (isSeparator(item)) return;
+    if (this.props.filterFieldsForItem) {
+      // One candidate per field, merged back per item by fuzzyFilter
+      for (const field of this.getFilterFields(item)) {
+        this.candidates.push(field.text);
+        this.itemByIndex.push(item);
+        this.candidateFields.push(field);
+      }
+      return;
+    }
+    const filterKey = this.props.filterKeyForItem
+      ? this.props.filterKeyForItem(item)
+      : item;
+    this.candidates.push(this.normalize(filterKey));
+    this.itemByIndex.push(item);
+  }
+
+  /**
+   * Rebuilds the candidates for a new set of items, keeping the computed
+   * candidates of the items that are still present.
+   * @param {Array} items - The new items
+   * @param {Set} [changedItems] - Items whose candidates must be recomputed
+   */
+  patchCandidates(items, changedItems = new Set()) {
+    const { candidates, candidateFields } = this;
+    // Candidate indices of each occurrence of an item, in order, so that an
+    // item present several times reuses one occurrence each time
+    const previous = new Map();
+    let occurrence = null;
+    this.itemByIndex.forEach((item, index) => {
+      if (changedItems.has(item)) return;
+      const field = candidateFields[index];
+      if (
+        !occurrence ||
+        occurrence.item !== item ||
+        !field ||
+        field === candidateFields[occurrence.indices[0]]
+      ) {
+        occurrence = { item, indices: [] };
+        let occurrences = previous.get(item);
+        if (!occurrences) previous.set(item, (occurrences = []));
+        occurrences.push(occurrence.indices);
+      }
+      occurrence.indices.push(index);
+    });
+    this.candidates = [];
+    this.itemByIndex = [];
+    this.candidateFields = [];
+    for (const item of changedItems) {
+      this.fieldsByItem.delete(item);
+    }
+    for (const item of items) {
+      const indices = previous.get(item)?.shift();
+      if (!indices) {
+        this.pushCandidates(item);
+        continue;
+      }
+      for (const index of indices) {
+        this.candidates.push(candidates[index]);
+        this.itemByIndex.push(item);
+        if (candidateFields[index]) {
+          this.candidateFields.push(candidateFields[index]);
+        }
+      }
+    }
+    const itemSet = new Set(items);
+    for (const item of this.fieldsByItem.keys()) {
+      if (!itemSet.has(item)) this.fieldsByItem.delete(item);
+    }
+    this.setMatcherCandidates();
+  }
+
+  setMatcherCandidates() {
+    if (this.filterMatcher) {
+      this.getMatcher().setCandidates(this.filterMatcher, this.candidates);
+    } else {
+      this.filterMatcher = this.getMatcher().setCandidates(this.candidates);
+    }
+  }
+
+  /**
+   * Adds items at the end of the list's items. Only the candidates of the new
+   * items are computed, and the selected item stays selected.
+   * @param {Array} items - The items to add
+   * @returns {Promise} Resolves when the component has updated
+   */
+  addItems(items) {
+    const allItems = this.getOwnItems().concat(items);
+    if (
+      this.currentLevel ||
+      this.activeProvider ||
+      !this.candidates ||
+      this.treeNodes
+    ) {
+      return this.setOwnItems(allItems);
+    }
+    this.setProviderDefaultItems(allItems);
+    this.props.items = allItems;
+    this.appendCandidates(items);
+    return this.filterItems(undefined, true);
+  }
+
+  /**
+   * Removes items from the list's items. The selected item stays selected
+   * unless it is removed.
+   * @param {Array} items - The items to remove
+   * @returns {Promise} Resolves when the component has updated
+   */
+  removeItems(items) {
+    const removed = new Set(items);
+    return this.setOwnItems(
+      this.getOwnItems().filter((item) => !removed.has(item))
+    );
+  }
+
+  /**
+   * Replaces an item, or recomputes the filter key of an item that was
+   * modified in place. Marks and selection move to the new item.
+   * @param {*} item - The item to update
+   * @param {*} [newItem=item] - The item replacing it
+   * @returns {Promise} Resolves when the component has updated
+   */
+  updateItem(item, newItem = item) {
+    const index = this.getOwnItems().indexOf(item);
+    if (index === -1) return Promise.resolve();
+    const items = this.getOwnItems().slice();
+    items[index] = newItem;
+    if (newItem !== item) {
+      if (this.markedItems.delete(item)) {
+        this.markedItems.add(newItem);
+      }
+      if (!this.currentLevel && !this.activeProvider && this.items) {
+        // Keep the new item selected and shown until the list is re-filtered
+        const shownIndex = this.items.indexOf(item);
+        if (shownIndex !== -1) this.items[shownIndex] = newItem;
+      }
+    }
+    return this.setOwnItems(items, new Set([item]));
+  }
+
+  /**
+   * Replaces all items. Candidates of the items that are kept are reused, and
+   * the selected item stays selected if it is kept, or if an item with the
+   * same `itemKey` replaces it.
+   * @param {Array} items - The new items
+   * @returns {Promise} Resolves when the component has updated
+   */
+  replaceItems(items) {
+    this.rowHeights.clear();
+    return this.setOwnItems(items.slice());
+  }
+
+  /**
+   * Returns the items of the list itself, below any level or provider shown
+   * over it.
+   * @returns {Array} The items
+   */
+  getOwnItems() {
+    if (this.activeProvider) {
+      const items = this.providerDefaults.items;
+      return (typeof items === "function" ? items() : items) || [];
+    }
+    return this.currentLevel
+      ? this.levels[0].props.items
+      : this.props.items || [];
+  }
+
+  /**
+   * Sets the items of the list itself. While a level is shown, its candidates
+   * are rebuilt when the level is popped. While a provider is active, they
+   * are rebuilt when the list's own items are shown again.
+   * @param {Array} items - The new items
+   * @param {Set} [changedItems] - Items whose candidates must be recomputed
+   * @returns {Promise} Resolves when the component has updated
+   */
+  setOwnItems(items, changedItems) {
+    this.setProviderDefaultItems(items);
+    if (this.activeProvider) {
+      return Promise.resolve();
+    }
+    if (this.currentLevel) {
+      this.levels[0].props.items = items;
+      this.levels[0].candidates = null;
+      this.pruneMarks(items);
+      return Promise.resolve();
+    }
+    this.props.items = items;
+    this.pruneMarks();
+    if (this.candidates && !this.treeNodes) {
+      this.patchCandidates(items, changedItems);
+    } else {
+      this.buildCandidates();
+    }
+    return this.filterItems(undefined, true);
+  }
+
+  /**
+   * In provider mode, makes items the fallback items of the providers and
+   * drops the cached candidates of the list's own items.
+   * @param {Array} items - The list's own items
+   */
+  setProviderDefaultItems(items) {
+    if (!this.props.providers) return;
+    this.providerDefaults.items = items;
+    this.providerStates.delete(null);
+  }
+
+  /**
+   * Replaces the items with those produced by a streaming source.
+   * Items are appended as they arrive and the current query is re-filtered
+   * without changing the selected item. The source is cancelled when the list
+   * is hidden or destroyed, or when another source is started.
+   * @param {AsyncIterable|Iterable|Function} source - An iterable yielding
+   *   items or arrays of items, or a function called with `(push, signal)`
+   *   that pushes items or arrays of items and returns a Promise resolving
+   *   when done. The `signal` is an AbortSignal aborted on cancellation.
+   * @returns {Promise} Resolves when the source completes or is cancelled
+   */
+  streamItems(source) {
+    this.cancelItemsSource();
+    const controller = new AbortController();
+    const stream = { controller, count: 0, pending: [], frame: null };
+    this.itemsStream = stream;
+    this.streamError = null;
+    this.props.items = [];
+    this.rowHeights.clear();
+    this.pruneMarks();
+    this.buildCandidates();
+    this.filterItems();
+
+    const push = (items) => {
+      if (controller.signal.aborted) return;
+      if (!Array.isArray(items)) items = [items];
+      for (const item of items) {
+        stream.pending.push(item);
+      }
+      if (stream.frame === null) {
+        stream.frame = requestAnimationFrame(() => {
+          stream.frame = null;
+          this.flushItemsStream(stream);
+        });
+      }
+    };
+
+    const run =
+      typeof source === "function"
+        ? async () => source(push, controller.signal)
+        : async () => {
+            for await (const items of source) {
+              if (controller.signal.aborted) break;
+              push(items);
+            }
+          };
+
+    return run()
+      .catch((error) => {
+        if (controller.signal.aborted) return;
+        this.streamError = error.message || String(error);
+      })
+      .then(() => {
+        stream.done = true;
+        return this.flushItemsStream(stream);
+      });
+  }
+
+  /**
+   * Appends the items pushed by a streaming source since the last flush.
+   * While a level (such as the actions sub-list) is shown, items are held
+   * back until the list returns to its own items.
+   * @param {Object} stream - The stream state created by streamItems
+   * @returns {Promise} Resolves when the component has updated
+   */
+  flushItemsStream(stream) {
+    if (stream.frame !== null) {
+      cancelAnimationFrame(stream.frame);
+      stream.frame = null;
+    }
+    if (this.itemsStream !== stream || this.currentLevel) {
+      return Promise.resolve();
+    }
+    if (stream.done) {
+      this.itemsStream = null;
+    }
+    if (stream.pending.length === 0) {
+      return stream.done ? etch.update(this) : Promise.resolve();
+    }
+    const items = stream.pending;
+    stream.pending = [];
+    stream.count += items.length;
+    for (const item of items) {
+      this.props.items.push(item);
+    }
+    this.appendCandidates(items);
+    return this.filterItems(true, true);
+  }
+
+  /**
+   * Cancels the running items source, if any. Items received so far are kept.
+   * @param {boolean} [updateComponent=true] - Whether to update the component
+   */
+  cancelItemsSource(updateComponent = true) {
+    const stream = this.itemsStream;
+    if (!stream) return;
+    this.itemsStream = null;
+    stream.controller.abort();
+    if (stream.frame !== null) {
+      cancelAnimationFrame(stream.frame);
+      stream.frame = null;
+    }
+    if (updateComponent) {
+      etch.update(this);
+    }
+  }
+
+  /**
+   * Returns whether an items source is currently streaming.
+   * @returns {boolean} True while a source started by streamItems is running
+   */
+  isStreaming() {
+    return Boolean(this.itemsStream);
+  }
+
+  fuzzyFilter(items, query) {
+    const frecencies = this.computeFrecencies(items);
+    if (query.length === 0) {
+      if (frecencies) {
+        // Separators would end up anywhere once sorted. Stable sort: items
+        // never confirmed keep their order at the end
+        items = items.filter((item) => !isSeparator(item));
+        items.sort((a, b) => frecencies.get(b) - frecencies.get(a));
+      }
+      return items;
+    }
+    query = this.normalize(query);
+    this.processedQuery = query;
+    const matchOptions = {
+      recordMatchIndexes: false,
+    };
+    if (this.props.algorithm) matchOptions.algorithm = this.props.algorithm;
+    if (this.props.numThreads) matchOptions.numThreads = this.props.numThreads;
+    if (this.props.maxGap !== undefined)
+      matchOptions.maxGap = this.props.maxGap;
+    let results = this.props.extendedSyntax
+      ? this.extendedMatch(parseExtendedQuery(query), matchOptions)
+      : this.matchCandidates(query, matchOptions);
+    // Extended results are already merged per item
+    if (this.props.filterFieldsForItem && !this.props.extendedSyntax) {
+      results = this.mergeFieldResults(results);
+    }
+    const modifyScore = this.props.filterScoreModifier;
+    const frecencyWeight =
+      this.props.frecencyWeight != null ? this.props.frecencyWeight : 0.5;
+    const scoredItems = [];
+    for (const result of results) {
+      const item = this.itemByIndex[result.id];
+      let score = result.score;
+      if (frecencies) {
+        score *= 1 + frecencyWeight * Math.log1p(frecencies.get(item));
+      }
+      if (modifyScore) {
+        score = modifyScore(score, item);
+      }
+      if (score > 0) {
+        scoredItems.push({ item, score, filterKey: this.candidates[result.id] });
+      }
+    }
+    if (modifyScore || frecencies) {
+      scoredItems.sort((a, b) => b.score - a.score);
+    }
+    for (const { item, filterKey } of scoredItems) {
+      this.filterKeyMap.set(item, filterKey);
+    }
+    return scoredItems.map((i) => i.item);
+  }
+
+  /**
+   * Matches the candidates against a query, reusing recent results: a cached
+   * query is answered from the cache, and a query extending a cached one is
+   * only matched against that query's results, which contain all its matches.
+   * @param {string} query - The processed query
+   * @param {Object} matchOptions - Options for the fuzzy matcher
+   * @returns {Object[]} Matcher results, sorted by descending score
+   */
+  matchCandidates(query, matchOptions) {
+    const optionsKey = JSON.stringify(matchOptions);
+    let cache = this.queryCache;
+    if (
+      !cache ||
+      cache.candidates !== this.candidates ||
+      cache.size !== this.candidates.length ||
+      cache.optionsKey !== optionsKey
+    ) {
+      cache = this.queryCache = {
+        candidates: this.candidates,
+        size: this.candidates.length,
+        optionsKey,
+        results: new Map(),
+      };
+    }
+
+    let results = cache.results.get(query);
+    if (results) {
+      // Move to the end, so the least recently used entry is evicted first
+      cache.results.delete(query);
+      cache.results.set(query, results);
+      return results;
+    }
+
+    // Typo-tolerant and custom matchers may match more with a longer query
+    let narrowed = null;
+    if (
+      matchOptions.algorithm !== "typo-tolerant" &&
+      typeof this.props.matcher !== "object"
+    ) {
+      for (const [cachedQuery, cachedResults] of cache.results) {
+        if (
+          query.startsWith(cachedQuery) &&
+          (!narrowed || cachedQuery.length > narrowed.query.length)
+        ) {
+          narrowed = { query: cachedQuery, results: cachedResults };
+        }
+      }
+    }
+    if (narrowed && narrowed.results.length < this.candidates.length / 2) {
+      results = this.matchSubset(narrowed.results, query, matchOptions);
+    } else {
+      results = this.filterMatcher.match(query, matchOptions);
+    }
+
+    cache.results.set(query, results);
+    if (cache.results.size > QUERY_CACHE_SIZE) {
+      cache.results.delete(cache.results.keys().next().value);
+    }
+    return results;
+  }
+
+  /**
+   * Matches a query against the candidates of previous results only.
+   * @param {Object[]} previousResults - Matcher results of a shorter query
+   * @param {string} query - The processed query
+   * @param {Object} matchOptions - Options for the fuzzy matcher
+   * @returns {Object[]} Matcher results with ids of the full candidates
+   */
+  matchSubset(previousResults, query, matchOptions) {
+    if (previousResults.length === 0) return [];
+    // Keep the candidate order, so ties are ranked as in a full match
+    const ids = previousResults
+      .map((result) => result.id)
+      .sort((a, b) => a - b);
+    const candidates = ids.map((id) => this.candidates[id]);
+    if (this.subsetMatcher) {
+      this.getMatcher().setCandidates(this.subsetMatcher, candidates);
+    } else {
+      this.subsetMatcher = this.getMatcher().setCandidates(candidates);
+    }
+    return this.subsetMatcher
+      .match(query, matchOptions)
+      .map((result) => ({ id: ids[result.id], score: result.score }));
+  }
+
+  /**
+   * Computes the frecency of the items, or null without `itemId` or when no
+   * item was confirmed yet.
+   * @param {Array} items - The items to compute the frecency for
+   * @returns {Map|null} Frecency by item
+   */
+  computeFrecencies(items) {
+    const store = this.getFrecencyStore();
+    if (!store || store.entries.size === 0) return null;
+    const now = Date.now();
+    const halfLife = this.getFrecencyHalfLife();
+    const frecencies = new Map();
+    for (const item of items) {
+      const id = isSeparator(item) ? null : this.props.itemId(item);
+      frecencies.set(
+        item,
+        id == null ? 0 : store.get(String(id), now, halfLife)
+      );
+    }
+    return frecencies;
+  }
+
+  /**
+   * Merges the results of the field candidates of each item into one result.
+   * Field scores are multiplied by the field weight; the item score is the
+   * best field score, or their sum when `fieldScoring` is "sum".
+   * @param {Object[]} results - Matcher results for field candidates
+   * @returns {Object[]} One result per item, with the id of its best field
+   */
+  mergeFieldResults(results) {
+    const byItem = new Map();
+    for (const result of results) {
+      const item = this.itemByIndex[result.id];
+      const score = result.score * this.candidateFields[result.id].weight;
+      const merged = byItem.get(item);
+      if (!merged) {
+        byItem.set(item, { id: result.id, best: score, sum: score });
+      } else {
+        merged.sum += score;
+        if (score > merged.best) {
+          merged.best = score;
+          merged.id = result.id;
+        }
+      }
+    }
+    const sum = this.props.fieldScoring === "sum";
+    return Array.from(byItem.values(), (merged) => ({
+      id: merged.id,
+      score: sum ? merged.sum : merged.best,
+    })).sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Returns the filter fields of an item from filterFieldsForItem.
+   * @param {*} item - The item to get the fields for
+   * @returns {Object[]} Fields `{name, text, displayText, weight}` with a
+   *   non-empty text, where `text` is normalized for matching
+   */
+  getFilterFields(item) {
+    let fields = this.fieldsByItem?.get(item);
+    if (fields) return fields;
+    fields = [];
+    for (const field of this.props.filterFieldsForItem(item) || []) {
+      if (!field || !field.text) continue;
+      fields.push({
+        name: field.name,
+        text: this.normalize(field.text),
+        displayText: field.text,
+        weight: field.weight ?? 1,
+      });
+    }
+    this.fieldsByItem?.set(item, fields);
+    return fields;
+  }
+
+  /**
+   * Returns the fields of an item with their match indices, keyed by name.
+   * Match indices are only computed when accessed.
+   * @param {*} item - The item to get the fields for
+   * @returns {Object} Map of field name to `{text, weight, matchIndices}`
+   */
+  getFieldMatches(item) {
+    const cached = this.fieldMatchesMap?.get(item);
+    if (cached) return cached;
+    const matches = {};
+    for (const field of this.getFilterFields(item)) {
+      const match = {
+        text: field.displayText,
+        filterText: field.text,
+        weight: field.weight,
+      };
+      Object.defineProperty(match, "matchIndices", {
+        get: () =>
+          this.mapMatchIndices(
+            this.matchIndicesForText(field.text),
+            field.displayText
+          ),
+        enumerable: true,
+      });
+      matches[field.name] = match;
+    }
+    this.fieldMatchesMap?.set(item, matches);
+    return matches;
+  }
+
+  /**
+   * Matches all items against a parsed extended query. Fuzzy terms are
+   * matched by the fuzzy matcher, the other terms by string comparison.
+   * An item must match a term of every group; its score is one plus the sum
+   * of the best fuzzy score of each group. With filter fields, each term may
+   * match a different field of the item, and fuzzy scores are weighted by the
+   * field weight.
+   * @param {Object[][]} groups - AND groups of OR terms from parseExtendedQuery
+   * @param {Object} matchOptions - Options for the fuzzy matcher
+   * @returns {Object[]} One result per item, with the id of its best matching
+   *   candidate, sorted by descending score
+   */
+  extendedMatch(groups, matchOptions) {
+    const fuzzyScores = new Map();
+    for (const group of groups) {
+      for (const term of group) {
+        if (term.type === "fuzzy" && !fuzzyScores.has(term.text)) {
+          const scores = new Map();
+          for (const result of this.filterMatcher.match(
+            term.text,
+            matchOptions
+          )) {
+            scores.set(result.id, result.score);
+          }
+          fuzzyScores.set(term.text, scores);
+        }
+      }
+    }
+
+    const idsByItem = new Map();
+    for (let id = 0; id < this.candidates.length; id++) {
+      const item = this.itemByIndex[id];
+      const ids = idsByItem.get(item);
+      if (ids) {
+        ids.push(id);
+      } else {
+        idsByItem.set(item, [id]);
+      }
+    }
+
+    const results = [];
+    for (const ids of idsByItem.values()) {
+      // The candidate with the best fuzzy score, or the first one matching an
+      // exact term, is the one highlighted
+      let bestId = null;
+      let bestScore = -1;
+      let score = 1;
+      for (const group of groups) {
+        let groupScore = -1;
+        for (const term of group) {
+          let termScore = -1;
+          if (term.type === "fuzzy") {
+            const scores = fuzzyScores.get(term.text);
+            for (const id of ids) {
+              const fuzzyScore = scores.get(id);
+              if (
+                fuzzyScore === undefined ||
+                (term.caseSensitive &&
+                  !isSubsequence(this.candidates[id], term.text))
+              ) {
+                continue;
+              }
+              const field = this.candidateFields[id];
+              const weighted = fuzzyScore * (field ? field.weight : 1);
+              termScore = Math.max(termScore, weighted);
+              if (weighted > bestScore) {
+                bestScore = weighted;
+                bestId = id;
+              }
+            }
+          } else {
+            const matchedId = ids.find(
+              (id) => matchExactTerm(this.candidates[id], term) !== null
+            );
+            if ((matchedId !== undefined) !== term.negate) {
+              termScore = 0;
+              if (bestId === null && !term.negate) bestId = matchedId;
+            }
+          }
+          groupScore = Math.max(groupScore, termScore);
+        }
+        if (groupScore < 0) {
+          score = 0;
+          break;
+        }
+        score += groupScore;
+      }
+      if (score > 0) {
+        results.push({ id: bestId ?? ids[0], score });
+      }
+    }
+    return results.sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Returns the filter key for an item.
+   * @param {*} item - The item to get the filter key for
+   * @returns {string|null} The filter key string, or null
+   */
+  getFilterKey(item) {
+    if (isSeparator(item)) return null;
+
+    // Check stored filterKey from fuzzyFilter
+    let filterKey = this.filterKeyMap?.get(item);
+    if (filterKey) return filterKey;
+
+    // Use the first field when no query picked the best one
+    if (this.props.filterFieldsForItem) {
+      const fields = this.getFilterFields(item);
+      return fields.length > 0 ? fields[0].text : null;
+    }
+
+    // Compute from filterKeyForItem
+    if (this.props.filterKeyForItem) {
+      return this.normalize(this.props.filterKeyForItem(item));
+    }
+
+    // Fall back to item itself if string
+    return typeof item === "string" ? item : null;
+  }
+
+  /**
+   * Returns the text of an item before normalization, as it should be shown.
+   * @param {*} item - The item
+   * @param {string} [filterKey] - The normalized filter key of the item
+   * @returns {string|null} The original text of the filter key
+   */
+  getDisplayKey(item, filterKey = this.getFilterKey(item)) {
+    if (isSeparator(item)) return null;
+    if (this.props.filterFieldsForItem) {
+      const fields = this.getFilterFields(item);
+      const field =
+        fields.find((field) => field.text === filterKey) || fields[0];
+      return field ? field.displayText : null;
+    }
+    if (this.props.filterKeyForItem) {
+      return this.props.filterKeyForItem(item);
+    }
+    return typeof item === "string" ? item : null;
+  }
+
+  /**
+   * Maps match indices in a normalized text back to the original text.
+   * @param {number[]|null} indices - Match indices in the normalized text
+   * @param {string} text - The original text
+   * @returns {number[]|null} Match indices in the original text
+   */
+  mapMatchIndices(indices, text) {
+    return mapMatchIndices(indices, text, getNormalizeSteps(this.props));
+  }
+
+  /**
+   * Returns the match indices for an item, computing lazily if needed.
+   * Match indices indicate which characters in the filter key matched the query.
+   * @param {*} item - The item to get match indices for
+   * @param {string} [filterKey] - Optional filter key override. If not provided,
+   *   uses the stored filterKey from fuzzyFilter or computes from filterKeyForItem.
+   * @returns {number[]|null} Array of character indices that matched, or null
+   */
+  getMatchIndices(item, filterKey) {
+    // Check cache first
+    const cached = this.matchIndicesMap?.get(item);
+    if (cached !== undefined) return cached;
+
+    // Use provided filterKey or get from item
+    if (!filterKey) {
+      filterKey = this.getFilterKey(item);
+    }
+
+    if (!filterKey || !this.processedQuery) {
+      return null;
+    }
+
+    const indexes = this.matchIndicesForText(filterKey);
+    this.matchIndicesMap?.set(item, indexes);
+    return indexes;
+  }
+
+  /**
+   * Computes the match indices of the current query in a text.
+   * @param {string} text - The text to match against
+   * @returns {number[]|null} Array of character indices that matched, or null
+   */
+  matchIndicesForText(text) {
+    if (!text || !this.processedQuery) {
+      return null;
+    }
+    if (this.props.extendedSyntax) {
+      return extendedMatchIndices(
+        text,
+        parseExtendedQuery(this.processedQuery),
+        (text, query) => this.computeMatchIndices(text, query)
+      );
+    }
+    return this.computeMatchIndices(text, this.processedQuery);
+  }
+
+  /**
+   * Computes the fuzzy match indices of a query in a filter key.
+   * @param {string} filterKey - The text to match against
+   * @param {string} query - The query to match
+   * @returns {number[]|null} Array of character indices that matched, or null
+   */
+  computeMatchIndices(filterKey, query) {
+    // Use reusable matcher for index computation (like fuzzy-finder)
+    if (!this.indexMatcher) {
+      this.indexMatcher = this.getMatcher().setCandidates([filterKey]);
+    } else {
+      this.getMatcher().setCandidates(this.indexMatcher, [filterKey]);
     }
 
     const indexMatchOptions = {
@@ -723,14 +3692,9 @@ class SelectListView {
     if (this.props.maxGap !== undefined)
       indexMatchOptions.maxGap = this.props.maxGap;
 
-    const results = this.indexMatcher.match(
-      this.processedQuery,
-      indexMatchOptions
-    );
+    const results = this.indexMatcher.match(query, indexMatchOptions);
 
-    const indexes = results.length > 0 ? results[0].matchIndexes : null;
-    this.matchIndicesMap?.set(item, indexes);
-    return indexes;
+    return results.length > 0 ? results[0].matchIndexes : null;
   }
 
   getSelectedItem() {
@@ -755,41 +3719,77 @@ class SelectListView {
   }
 
   renderItemAtIndex(index) {
-    if (!this.listItems || index < 0 || index >= this.listItems.length) return;
-    const item = this.items[index];
-    const selected = this.getSelectedItem() === item;
-    const filterKey = this.getFilterKey(item);
-    const opts = { selected, index, filterKey };
-    // Lazy getter - matchIndices only computed when accessed
-    Object.defineProperty(opts, "matchIndices", {
-      get: () => this.getMatchIndices(item, filterKey),
-      enumerable: true,
-    });
-    const component = this.listItems[index].component;
-    component.update({
-      element: this.resolveElement(item, opts),
-      selected: selected,
-      onclick: () => this.didClickItem(index),
-      oncontextmenu: () => this.selectIndex(index),
-    });
+    const offset = this.virtualRange ? this.virtualRange.start : 0;
+    const position = index - offset;
+    if (!this.listItems || position < 0 || position >= this.listItems.length) {
+      return;
+    }
+    const listItem = this.listItems[position];
+    listItem.component.update(this.getListItemProps(index));
+    // Keep etch's reference in sync, the row element was replaced outside of it
+    listItem.domNode = listItem.component.element;
   }
 
   selectPrevious() {
     if (this.selectionIndex === undefined) return this.selectLast();
-    return this.selectIndex(this.selectionIndex - 1);
+    return this.selectIndex(
+      this.findSelectableIndex(this.selectionIndex - 1, -1)
+    );
   }
 
   selectNext() {
     if (this.selectionIndex === undefined) return this.selectFirst();
-    return this.selectIndex(this.selectionIndex + 1);
+    return this.selectIndex(this.findSelectableIndex(this.selectionIndex + 1));
   }
 
   selectFirst() {
-    return this.selectIndex(0);
+    return this.selectIndex(this.findSelectableIndex(0));
   }
 
   selectLast() {
-    return this.selectIndex(this.items.length - 1);
+    return this.selectIndex(
+      this.findSelectableIndex(this.items.length - 1, -1)
+    );
+  }
+
+  /**
+   * Returns whether an item can be selected and confirmed: separators and
+   * items disabled by `isItemDisabled` cannot.
+   * @param {*} item - The item to check
+   * @returns {boolean} True if the item is selectable
+   */
+  isItemSelectable(item) {
+    return !isSeparator(item) && !this.getDisabledReason(item);
+  }
+
+  /**
+   * Returns why an item is disabled.
+   * @param {*} item - The item to check
+   * @returns {string|boolean} The explanation returned by `isItemDisabled`,
+   *   true if it gave none, or false if the item is enabled
+   */
+  getDisabledReason(item) {
+    if (!this.props.isItemDisabled || item == null || isSeparator(item)) {
+      return false;
+    }
+    return this.props.isItemDisabled(item) || false;
+  }
+
+  /**
+   * Returns the first selectable index from an index, moving in a direction
+   * and wrapping around the ends.
+   * @param {number} index - The index to start from
+   * @param {number} [direction=1] - 1 to search forward, -1 backward
+   * @returns {number|undefined} The index, or undefined if no item is
+   *   selectable
+   */
+  findSelectableIndex(index, direction = 1) {
+    const count = this.items.length;
+    for (let i = 0; i < count; i++) {
+      const candidate = (((index + i * direction) % count) + count) % count;
+      if (this.isItemSelectable(this.items[candidate])) return candidate;
+    }
+    return undefined;
   }
 
   selectNone() {
@@ -802,65 +3802,467 @@ class SelectListView {
     } else if (index < 0) {
       index = this.items.length - 1;
     }
+    if (index !== undefined && !this.isItemSelectable(this.items[index])) {
+      index = this.findSelectableIndex(index);
+    }
 
     const oldIndex = this.selectionIndex;
 
     this.selectionIndex = index;
+    this.scrollToSelection = index !== undefined;
     if (index !== undefined && this.props.didChangeSelection) {
       this.props.didChangeSelection(this.getSelectedItem());
     }
+    this.schedulePreview();
 
     if (updateComponent) {
-      if (this.listItems) {
+      if (this.listItems && this.isIndexRendered(index)) {
         if (oldIndex >= 0) this.renderItemAtIndex(oldIndex);
         if (index >= 0) this.renderItemAtIndex(index);
         return etch.getScheduler().getNextUpdatePromise();
       } else {
         return etch.update(this);
       }
-    } else {
-      return Promise.resolve();
+    } else {
+      return Promise.resolve();
+    }
+  }
+
+  selectItem(item) {
+    const index = this.items.indexOf(item);
+    if (index === -1) {
+      throw new Error(
+        "Cannot select the specified item because it does not exist."
+      );
+    } else {
+      return this.selectIndex(index);
+    }
+  }
+
+  /**
+   * Returns whether an item is marked in multi-select mode.
+   * @param {*} item - The item to check
+   * @returns {boolean} True if the item is marked
+   */
+  isMarked(item) {
+    return this.markedItems.has(item);
+  }
+
+  /**
+   * Returns the marked items in the order of the `items` prop.
+   * @returns {Array} The marked items
+   */
+  getMarkedItems() {
+    if (this.markedItems.size === 0) return [];
+    return (this.treeItems || this.props.items).filter((item) =>
+      this.markedItems.has(item)
+    );
+  }
+
+  /**
+   * Toggles the mark of an item. Defaults to the selected item.
+   * @param {*} [item] - The item to mark or unmark
+   * @returns {Promise} Resolves when the component has updated
+   */
+  toggleMark(item = this.getSelectedItem()) {
+    if (!this.props.multiSelect || item == null || this.isSubListShown()) {
+      return Promise.resolve();
+    }
+    if (this.markedItems.has(item)) {
+      this.markedItems.delete(item);
+    } else {
+      this.markedItems.add(item);
+    }
+    return etch.update(this);
+  }
+
+  /**
+   * Marks all selectable items matching the current query.
+   * @returns {Promise} Resolves when the component has updated
+   */
+  markAll() {
+    if (!this.props.multiSelect || this.isSubListShown()) {
+      return Promise.resolve();
+    }
+    for (const item of this.items) {
+      if (this.isItemSelectable(item)) this.markedItems.add(item);
+    }
+    return etch.update(this);
+  }
+
+  /**
+   * Unmarks all items, including those hidden by the current query.
+   * @returns {Promise} Resolves when the component has updated
+   */
+  clearMarks() {
+    if (this.markedItems.size === 0) {
+      return Promise.resolve();
+    }
+    this.markedItems.clear();
+    return etch.update(this);
+  }
+
+  /**
+   * Drops marks of items that are no longer in the `items` prop, or in the
+   * tree below them in tree mode.
+   */
+  pruneMarks(items = this.props.items) {
+    if (this.markedItems.size === 0) return;
+    items = new Set(items);
+    if (this.isTreeMode()) {
+      for (const item of items) {
+        if (isSeparator(item)) continue;
+        const children = this.props.childrenForItem(item);
+        // Children added to the set are visited too
+        if (Array.isArray(children)) children.forEach((c) => items.add(c));
+      }
+    }
+    for (const item of this.markedItems) {
+      if (!items.has(item)) {
+        this.markedItems.delete(item);
+      }
+    }
+  }
+
+  /**
+   * Confirms the current selection.
+   * Calls didConfirmSelection with the selected item, or didConfirmEmptySelection if none.
+   * In multi-select mode with didConfirmSelections, passes the marked items instead
+   * (or the selected item alone when nothing is marked).
+   */
+  confirmSelection() {
+    const selectedItem = this.getSelectedItem();
+    // The item may have been disabled since it was selected
+    if (selectedItem != null && !this.isItemSelectable(selectedItem)) return;
+    if (
+      this.props.childrenForItem &&
+      !this.props.tree &&
+      selectedItem != null &&
+      this.markedItems.size === 0
+    ) {
+      const children = this.props.childrenForItem(selectedItem);
+      if (children != null) {
+        this.drillDown(selectedItem, children);
+        return;
+      }
+    }
+    this.recordQuery();
+    if (
+      this.props.multiSelect &&
+      this.props.didConfirmSelections &&
+      !this.isSubListShown()
+    ) {
+      const items = this.getMarkedItems();
+      if (items.length === 0 && selectedItem != null) {
+        items.push(selectedItem);
+      }
+      if (items.length > 0) {
+        this.recordFrecency(items);
+        this.props.didConfirmSelections(items);
+        return;
+      }
+    }
+    if (selectedItem != null) {
+      this.recordFrecency([selectedItem]);
+      if (this.props.didConfirmSelection) {
+        this.props.didConfirmSelection(selectedItem);
+      }
+    } else {
+      if (this.props.didConfirmEmptySelection) {
+        this.props.didConfirmEmptySelection();
+      }
+    }
+  }
+
+  /**
+   * Cancels the selection and calls the didCancelSelection callback if provided.
+   */
+  cancelSelection() {
+    if (this.props.didCancelSelection) {
+      this.props.didCancelSelection();
+    }
+  }
+}
+
+/**
+ * Settles the Promise of pick, prompt or flow once, and validates their
+ * answers.
+ */
+class ListSession {
+  constructor(resolve) {
+    this.resolve = resolve;
+    this.list = null;
+    this.closed = false;
+    this.validation = 0;
+  }
+
+  /**
+   * Hides and destroys the list and resolves with the result, once.
+   * @param {*} result - The result
+   */
+  close(result) {
+    if (this.closed) return;
+    this.closed = true;
+    this.list.hide();
+    this.list.destroy();
+    this.resolve(result);
+  }
+
+  /**
+   * Validates a value and shows the returned message, or the thrown error,
+   * as `errorMessage`.
+   * @param {Function} [validate] - The validate function
+   * @param {*} value - The value to validate
+   * @returns {Promise} Resolves to whether the value is valid, or undefined
+   *   if outdated by a later check
+   */
+  async check(validate, value) {
+    const id = ++this.validation;
+    let message = null;
+    try {
+      message = validate ? await validate(value) : null;
+    } catch (error) {
+      message = error.message || String(error);
+    }
+    if (this.closed || id !== this.validation) return undefined;
+    await this.list.update({ errorMessage: message || null });
+    return !message;
+  }
+
+  /**
+   * Makes pending checks outdated.
+   */
+  cancelChecks() {
+    this.validation++;
+  }
+}
+
+/**
+ * Base of the stores persisted in localStorage under `${prefix}:${key}`.
+ * Subclasses define the static `prefix` and `deserialize(key, state)` and the
+ * `serialize()` method. Instances are shared between lists with the same key.
+ */
+class LocalStorageStore {
+  static instances = new Map();
+
+  static forKey(key) {
+    const storageKey = this.storageKey(key);
+    let store = LocalStorageStore.instances.get(storageKey);
+    if (!store) {
+      store = this.deserialize(key, this.load(key));
+      LocalStorageStore.instances.set(storageKey, store);
+    }
+    return store;
+  }
+
+  static storageKey(key) {
+    return `${this.prefix}:${key}`;
+  }
+
+  static load(key) {
+    try {
+      const state = localStorage.getItem(this.storageKey(key));
+      return state ? JSON.parse(state) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  constructor(key) {
+    this.key = key;
+  }
+
+  save() {
+    try {
+      localStorage.setItem(
+        this.constructor.storageKey(this.key),
+        JSON.stringify(this.serialize())
+      );
+    } catch (error) {
+      // Storage full or unavailable: keep the in-memory state
+    }
+  }
+}
+
+/**
+ * Most-recent-first list of confirmed queries.
+ */
+class QueryHistory extends LocalStorageStore {
+  static prefix = "select-list-history";
+
+  static deserialize(key, state) {
+    const entries =
+      state && Array.isArray(state.entries)
+        ? state.entries.filter((entry) => typeof entry === "string")
+        : [];
+    return new QueryHistory(key, entries);
+  }
+
+  constructor(key, entries = []) {
+    super(key);
+    this.entries = entries;
+  }
+
+  serialize() {
+    return { version: 1, entries: this.entries };
+  }
+
+  /**
+   * Moves the query to the front, removing a previous occurrence.
+   * @param {string} query - The query to record
+   * @param {number} [maxSize=100] - Maximum number of entries to keep
+   */
+  add(query, maxSize = 100) {
+    const index = this.entries.indexOf(query);
+    if (index !== -1) {
+      this.entries.splice(index, 1);
+    }
+    this.entries.unshift(query);
+    if (this.entries.length > maxSize) {
+      this.entries.length = maxSize;
+    }
+    this.save();
+  }
+
+  clear() {
+    this.entries = [];
+    this.save();
+  }
+}
+
+/**
+ * Usage counts of confirmed items with exponential decay.
+ */
+class FrecencyStore extends LocalStorageStore {
+  static prefix = "select-list-frecency";
+
+  static deserialize(key, state) {
+    const entries = new Map();
+    if (state && state.entries && typeof state.entries === "object") {
+      for (const id of Object.keys(state.entries)) {
+        const [score, time] = state.entries[id] || [];
+        if (Number.isFinite(score) && Number.isFinite(time)) {
+          entries.set(id, { score, time });
+        }
+      }
     }
+    return new FrecencyStore(key, entries);
   }
 
-  selectItem(item) {
-    const index = this.items.indexOf(item);
-    if (index === -1) {
-      throw new Error(
-        "Cannot select the specified item because it does not exist."
-      );
-    } else {
-      return this.selectIndex(index);
+  constructor(key, entries = new Map()) {
+    super(key);
+    this.entries = entries;
+  }
+
+  serialize() {
+    const entries = {};
+    for (const [id, { score, time }] of this.entries) {
+      entries[id] = [score, time];
     }
+    return { version: 1, entries };
   }
 
   /**
-   * Confirms the current selection.
-   * Calls didConfirmSelection with the selected item, or didConfirmEmptySelection if none.
+   * Returns the decayed score of an item.
+   * @param {string} id - The item id
+   * @param {number} now - The current time in milliseconds
+   * @param {number} halfLife - Time in milliseconds for a score to halve
+   * @returns {number} The score, or 0 for unknown items
    */
-  confirmSelection() {
-    const selectedItem = this.getSelectedItem();
-    if (selectedItem != null) {
-      if (this.props.didConfirmSelection) {
-        this.props.didConfirmSelection(selectedItem);
-      }
-    } else {
-      if (this.props.didConfirmEmptySelection) {
-        this.props.didConfirmEmptySelection();
+  get(id, now, halfLife) {
+    const entry = this.entries.get(id);
+    if (!entry) return 0;
+    return (
+      entry.score * Math.pow(0.5, Math.max(0, now - entry.time) / halfLife)
+    );
+  }
+
+  /**
+   * Adds one use of an item to its decayed score. Call save() afterwards.
+   * @param {string} id - The item id
+   * @param {number} now - The current time in milliseconds
+   * @param {number} halfLife - Time in milliseconds for a score to halve
+   * @param {number} [maxSize=1000] - Maximum number of items to keep
+   */
+  add(id, now, halfLife, maxSize = 1000) {
+    const score = this.get(id, now, halfLife) + 1;
+    this.entries.delete(id);
+    this.entries.set(id, { score, time: now });
+    if (this.entries.size > maxSize) {
+      // Drop the lowest scores
+      const ids = Array.from(this.entries.keys()).sort(
+        (a, b) => this.get(a, now, halfLife) - this.get(b, now, halfLife)
+      );
+      for (const staleId of ids.slice(0, this.entries.size - maxSize)) {
+        this.entries.delete(staleId);
       }
     }
   }
 
+  delete(id) {
+    return this.entries.delete(id);
+  }
+
+  clear() {
+    this.entries.clear();
+    this.save();
+  }
+}
+
+/**
+ * Candidate matcher of the JavaScript fuzzy matcher, with the interface of
+ * the matchers returned by `atom.ui.fuzzyMatcher.setCandidates`.
+ */
+class JavaScriptCandidateMatcher {
+  constructor(candidates = []) {
+    this.candidates = candidates;
+  }
+
   /**
-   * Cancels the selection and calls the didCancelSelection callback if provided.
+   * Matches all candidates against a query.
+   * @param {string} query - The query
+   * @param {Object} [options] - `algorithm`, `maxGap`, `maxResults` and
+   *   `recordMatchIndexes`
+   * @returns {Object[]} Results `{id, score, matchIndexes}` sorted by
+   *   descending score, then by candidate order
    */
-  cancelSelection() {
-    if (this.props.didCancelSelection) {
-      this.props.didCancelSelection();
+  match(query, options = {}) {
+    const results = [];
+    for (let id = 0; id < this.candidates.length; id++) {
+      const result = matchText(this.candidates[id], query, options);
+      if (result) {
+        result.id = id;
+        results.push(result);
+      }
+    }
+    results.sort((a, b) => b.score - a.score || a.id - b.id);
+    if (options.maxResults && results.length > options.maxResults) {
+      results.length = options.maxResults;
     }
+    return results;
   }
 }
 
+/**
+ * Fuzzy matcher written in JavaScript, used when `atom.ui.fuzzyMatcher` is
+ * unavailable, when the `matcher` prop is "javascript" or for the
+ * "typo-tolerant" algorithm. Implements the same interface, with
+ * "fuzzaldrin", "command-t" and "typo-tolerant" scoring.
+ */
+const javascriptMatcher = {
+  setCandidates(matcher, candidates) {
+    if (candidates === undefined) {
+      return new JavaScriptCandidateMatcher(matcher);
+    }
+    matcher.candidates = candidates;
+    return matcher;
+  },
+
+  match(text, query, options = {}) {
+    return matchText(text, query, options);
+  },
+};
+
 class ListItemView {
   constructor(props) {
     this.mouseDown = this.mouseDown.bind(this);
@@ -868,8 +4270,10 @@ class ListItemView {
     this.didClick = this.didClick.bind(this);
     this.didContextMenu = this.didContextMenu.bind(this);
     this.selected = props.selected;
+    this.marked = props.marked;
     this.onclick = props.onclick;
     this.oncontextmenu = props.oncontextmenu;
+    this.ontoggle = props.ontoggle;
     this.element = props.element;
     this.element.addEventListener("mousedown", this.mouseDown);
     this.element.addEventListener("mouseup", this.mouseUp);
@@ -878,6 +4282,12 @@ class ListItemView {
     if (this.selected) {
       this.element.classList.add("selected");
     }
+    if (this.marked) {
+      this.element.classList.add("marked");
+    }
+    this.renderDisabled(props.disabled);
+    this.renderTreeNode(props.treeNode);
+    const { Disposable } = requireAtom();
     this.domEventsDisposable = new Disposable(() => {
       this.element.removeEventListener("mousedown", this.mouseDown);
       this.element.removeEventListener("mouseup", this.mouseUp);
@@ -897,11 +4307,11 @@ class ListItemView {
 
   didClick(event) {
     event.preventDefault();
-    this.onclick();
+    this.onclick(event);
   }
 
-  didContextMenu() {
-    this.oncontextmenu();
+  didContextMenu(event) {
+    this.oncontextmenu(event);
   }
 
   destroy() {
@@ -910,31 +4320,94 @@ class ListItemView {
   }
 
   update(props) {
-    this.element.removeEventListener("mousedown", this.mouseDown);
-    this.element.removeEventListener("mouseup", this.mouseUp);
-    this.element.removeEventListener("click", this.didClick);
-    this.element.removeEventListener("contextmenu", this.didContextMenu);
-
-    if (this.element.parentNode) {
-      this.element.parentNode.replaceChild(props.element, this.element);
-    }
-    this.element = props.element;
-    this.element.addEventListener("mousedown", this.mouseDown);
-    this.element.addEventListener("mouseup", this.mouseUp);
-    this.element.addEventListener("click", this.didClick);
-    this.element.addEventListener("contextmenu", this.didContextMenu);
+    // The element never changes: rows are keyed by it
     if (props.selected) {
       this.element.classList.add("selected");
     } else {
       this.element.classList.remove("selected");
     }
+    if (props.marked) {
+      this.element.classList.add("marked");
+    } else {
+      this.element.classList.remove("marked");
+    }
+
+    this.renderDisabled(props.disabled);
+    this.renderTreeNode(props.treeNode);
 
     this.selected = props.selected;
+    this.marked = props.marked;
     this.onclick = props.onclick;
     this.oncontextmenu = props.oncontextmenu;
+    this.ontoggle = props.ontoggle;
     etch.getScheduler().updateDocument(this.scrollIntoViewIfNeeded.bind(this));
   }
 
+  /**
+   * Marks the element of a disabled item, with the explanation as tooltip.
+   * @param {string|boolean} disabled - The explanation, or whether the item is
+   *   disabled
+   */
+  renderDisabled(disabled) {
+    this.element.classList.toggle("disabled", Boolean(disabled));
+    if (typeof disabled === "string") {
+      this.element.title = disabled;
+      this.disabledTitle = disabled;
+    } else if (this.disabledTitle !== undefined) {
+      // Only remove a tooltip set here
+      if (this.element.title === this.disabledTitle) {
+        this.element.removeAttribute("title");
+      }
+      this.disabledTitle = undefined;
+    }
+  }
+
+  /**
+   * Indents the element of a tree node and prepends its expand/collapse
+   * toggle, or removes them when the row is no longer a tree node.
+   * @param {Object|null} treeNode - The `depth` of the node and whether it is
+   *   `expanded`, or null for leaves
+   */
+  renderTreeNode(treeNode) {
+    const { classList } = this.element;
+    if (!treeNode) {
+      if (this.toggle) {
+        this.toggle.remove();
+        this.toggle = null;
+        this.element.style.paddingLeft = "";
+        classList.remove("tree-item", "expanded", "collapsed");
+      }
+      return;
+    }
+    if (!this.toggle) {
+      this.toggle = document.createElement("span");
+      this.toggle.style.display = "inline-block";
+      this.toggle.style.width = "1.25em";
+      this.toggle.addEventListener("click", (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        this.ontoggle();
+      });
+    }
+    const { depth, expanded } = treeNode;
+    this.toggle.className =
+      expanded === null
+        ? "tree-toggle"
+        : `tree-toggle icon ${
+            expanded ? "icon-chevron-down" : "icon-chevron-right"
+          }`;
+    // The whole row is indented, so that the secondary line of a two-line
+    // item lines up with its primary line
+    this.element.style.paddingLeft = depth ? `${depth * 1.25}em` : "";
+    const line = this.element.querySelector(".primary-line") || this.element;
+    if (line.firstChild !== this.toggle) {
+      line.prepend(this.toggle);
+    }
+    classList.add("tree-item");
+    classList.toggle("expanded", expanded === true);
+    classList.toggle("collapsed", expanded === false);
+  }
+
   scrollIntoViewIfNeeded() {
     if (this.selected) {
       this.element.scrollIntoViewIfNeeded(false);
@@ -942,12 +4415,572 @@ class ListItemView {
   }
 }
 
+/**
+ * Default elementForItem of pick and prompt: the item text with highlighted
+ * matches.
+ */
+function defaultElementForItem(item, { displayKey, displayMatchIndices }) {
+  const li = document.createElement("li");
+  li.appendChild(
+    highlightMatches(
+      displayKey != null ? displayKey : String(item),
+      displayMatchIndices
+    )
+  );
+  return li;
+}
+
+/**
+ * Picks the props a provider can override from a props object.
+ * @param {Object} props - The props to pick from
+ * @returns {Object} The picked props
+ */
+function pickProviderProps(props) {
+  const picked = {};
+  for (const key of PROVIDER_PROPS) {
+    if (key in props) {
+      picked[key] = props[key];
+    }
+  }
+  return picked;
+}
+
+/**
+ * Finds the row containing a vertical position by binary search.
+ * @param {number[]} offsets - Ascending row offsets, total height last
+ * @param {number} position - Position in pixels from the top of the list
+ * @returns {number} Index of the row containing the position
+ */
+function findOffsetIndex(offsets, position) {
+  let low = 0;
+  let high = offsets.length - 2;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (offsets[mid] <= position) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return Math.max(0, low);
+}
+
+// Latin letters of the pinyin initials, and the first character (in Chinese
+// collation order) of the characters with each initial
+const PINYIN_INITIALS = "abcdefghjklmnopqrstwxyz";
+const PINYIN_BOUNDARIES = "阿八嚓哒妸发旮哈讥咔垃痳拏噢妑七呥扨它穵夕丫帀";
+
+const CYRILLIC_LATIN = {
+  а: "a",
+  б: "b",
+  в: "v",
+  г: "g",
+  ґ: "g",
+  д: "d",
+  е: "e",
+  ё: "e",
+  є: "ye",
+  ж: "zh",
+  з: "z",
+  и: "i",
+  і: "i",
+  ї: "yi",
+  й: "y",
+  к: "k",
+  л: "l",
+  м: "m",
+  н: "n",
+  о: "o",
+  п: "p",
+  р: "r",
+  с: "s",
+  т: "t",
+  у: "u",
+  ф: "f",
+  х: "kh",
+  ц: "ts",
+  ч: "ch",
+  ш: "sh",
+  щ: "shch",
+  ъ: "",
+  ы: "y",
+  ь: "",
+  э: "e",
+  ю: "yu",
+  я: "ya",
+};
+
+const GREEK_LATIN = {
+  α: "a",
+  β: "v",
+  γ: "g",
+  δ: "d",
+  ε: "e",
+  ζ: "z",
+  η: "i",
+  θ: "th",
+  ι: "i",
+  κ: "k",
+  λ: "l",
+  μ: "m",
+  ν: "n",
+  ξ: "x",
+  ο: "o",
+  π: "p",
+  ρ: "r",
+  σ: "s",
+  ς: "s",
+  τ: "t",
+  υ: "y",
+  φ: "f",
+  χ: "ch",
+  ψ: "ps",
+  ω: "o",
+};
+
+/**
+ * Built-in normalization steps, by name. Each maps a text to a text.
+ */
+const NORMALIZERS = {
+  diacritics: (text) => Diacritics.clean(text),
+  cyrillic: (text) => transliterate(text, /[\u0400-\u04ff]/g, CYRILLIC_LATIN),
+  greek: (text) =>
+    transliterate(text, /[\u0370-\u03ff\u1f00-\u1fff]/g, GREEK_LATIN, true),
+  pinyin: (text) => text.replace(/[\u4e00-\u9fff]/g, pinyinInitial),
+  fullwidth: (text) =>
+    text.replace(/[\uff01-\uff5e\u3000]/g, (char) =>
+      char === "\u3000" ? " " : String.fromCharCode(char.charCodeAt(0) - 0xfee0)
+    ),
+};
+
+/**
+ * Replaces the characters of a script with their Latin transliteration,
+ * keeping the case of the first letter.
+ * @param {string} text - The text
+ * @param {RegExp} pattern - Global pattern of the characters of the script
+ * @param {Object} table - Transliteration of the lowercase letters
+ * @param {boolean} [stripAccents=false] - Whether to look letters up without
+ *   their accents
+ * @returns {string} The transliterated text
+ */
+function transliterate(text, pattern, table, stripAccents = false) {
+  return text.replace(pattern, (char) => {
+    let lower = char.toLowerCase();
+    if (stripAccents) lower = lower.normalize("NFD")[0];
+    const latin = table[lower];
+    if (latin === undefined) return char;
+    return char !== char.toLowerCase() && latin
+      ? latin[0].toUpperCase() + latin.slice(1)
+      : latin;
+  });
+}
+
+let pinyinCollator = null;
+const pinyinCache = new Map();
+
+/**
+ * Returns the Latin initial of the pinyin of a Chinese character.
+ * @param {string} char - A CJK unified ideograph
+ * @returns {string} The initial, or the character if it has none
+ */
+function pinyinInitial(char) {
+  let initial = pinyinCache.get(char);
+  if (initial !== undefined) return initial;
+  if (!pinyinCollator) pinyinCollator = new Intl.Collator("zh-Hans-CN");
+  initial = char;
+  for (let i = 0; i < PINYIN_BOUNDARIES.length; i++) {
+    if (pinyinCollator.compare(PINYIN_BOUNDARIES[i], char) > 0) break;
+    initial = PINYIN_INITIALS[i];
+  }
+  pinyinCache.set(char, initial);
+  return initial;
+}
+
+/**
+ * Returns the normalization steps for the `normalize` and `removeDiacritics`
+ * props or options.
+ * @param {Object} options - Props or options
+ * @returns {Array<string|Function>} The steps
+ */
+function getNormalizeSteps(options) {
+  const steps = options.normalize || [];
+  if (options.removeDiacritics && !steps.includes("diacritics")) {
+    return ["diacritics", ...steps];
+  }
+  return steps;
+}
+
+/**
+ * Normalizes a text for matching by applying steps in order.
+ * @param {string} text - The text to normalize
+ * @param {Array<string|Function>} steps - Names of built-in steps
+ *   ("diacritics", "cyrillic", "greek", "pinyin", "fullwidth") or functions
+ *   mapping a text to a text
+ * @returns {string} The normalized text
+ */
+function normalizeText(text, steps) {
+  for (const step of steps) {
+    const normalizer = typeof step === "function" ? step : NORMALIZERS[step];
+    if (!normalizer) {
+      throw new Error(`Unknown normalization step: ${step}`);
+    }
+    text = normalizer(text);
+  }
+  return text;
+}
+
+/**
+ * Computes, for each character of the normalized form of a text, the offset
+ * of the character of the text it comes from.
+ * @param {string} text - The original text
+ * @param {Array<string|Function>} steps - Normalization steps
+ * @returns {number[]|null} The offsets, or null if the steps do not
+ *   normalize the text character by character
+ */
+function normalizeOffsets(text, steps) {
+  const offsets = [];
+  let normalized = "";
+  let offset = 0;
+  for (const char of text) {
+    const piece = normalizeText(char, steps);
+    for (let k = 0; k < piece.length; k++) {
+      offsets.push(offset);
+    }
+    normalized += piece;
+    offset += char.length;
+  }
+  return normalized === normalizeText(text, steps) ? offsets : null;
+}
+
+/**
+ * Maps match indices in the normalized form of a text back to the text.
+ * Several normalized characters from one character map to a single index.
+ * @param {number[]|null} indices - Match indices in the normalized text
+ * @param {string} text - The original text
+ * @param {Array<string|Function>} steps - Normalization steps
+ * @returns {number[]|null} Match indices in the original text, or null if
+ *   they can't be mapped
+ */
+function mapMatchIndices(indices, text, steps) {
+  if (!indices || steps.length === 0 || typeof text !== "string") {
+    return indices;
+  }
+  const offsets = normalizeOffsets(text, steps);
+  if (!offsets) {
+    // Steps working on whole texts: indices are only valid if the length
+    // did not change
+    return normalizeText(text, steps).length === text.length ? indices : null;
+  }
+  const mapped = [];
+  for (const index of indices) {
+    const offset = offsets[index];
+    if (offset !== undefined && offset !== mapped[mapped.length - 1]) {
+      mapped.push(offset);
+    }
+  }
+  return mapped;
+}
+
+/**
+ * Returns the fuzzy matcher to use for a `matcher` prop value.
+ * @param {string|Object} [matcher] - "native", "javascript", or an object
+ *   implementing the interface of `atom.ui.fuzzyMatcher`
+ * @param {string} [algorithm] - The matching algorithm; "typo-tolerant" is
+ *   only implemented by the JavaScript matcher
+ * @returns {Object} The fuzzy matcher
+ */
+function resolveMatcher(matcher, algorithm) {
+  if (matcher && typeof matcher === "object") {
+    return matcher;
+  }
+  if (
+    matcher !== "javascript" &&
+    algorithm !== "typo-tolerant" &&
+    typeof atom !== "undefined" &&
+    atom.ui &&
+    atom.ui.fuzzyMatcher
+  ) {
+    return atom.ui.fuzzyMatcher;
+  }
+  return javascriptMatcher;
+}
+
+/**
+ * Matches a text against a query in JavaScript. Query characters must appear
+ * in order in the text (ignoring case); the positions maximizing the score
+ * are chosen, so match indices point at word starts where possible.
+ * @param {string} text - The text to match against
+ * @param {string} query - The query
+ * @param {Object} [options] - Optional settings
+ * @param {string} [options.algorithm="fuzzaldrin"] - "fuzzaldrin" or "command-t"
+ * @param {number} [options.maxGap] - Maximum number of characters between
+ *   two matched characters
+ * @param {boolean} [options.recordMatchIndexes=false] - Whether to return
+ *   the match indices
+ * @returns {Object|null} `{score, matchIndexes}`, or null if there is no match
+ */
+function matchText(text, query, options = {}) {
+  if (options.algorithm === "typo-tolerant") {
+    return matchTextWithTypos(text, query, options);
+  }
+  const n = text.length;
+  const m = query.length;
+  if (m === 0 || m > n) return null;
+  const lowerText = text.toLowerCase();
+  const lowerQuery = query.toLowerCase();
+
+  // Candidate positions of each query character, between its leftmost and
+  // rightmost possible positions, also rejecting non-matches
+  const positions = [];
+  let start = 0;
+  for (let j = 0; j < m; j++) {
+    const list = [];
+    for (let i = start; i < n; i++) {
+      if (lowerText[i] === lowerQuery[j]) list.push(i);
+    }
+    if (list.length === 0) return null;
+    positions.push(list);
+    start = list[0] + 1;
+  }
+  let end = n;
+  for (let j = m - 1; j >= 0; j--) {
+    let list = positions[j];
+    if (list[list.length - 1] >= end) {
+      positions[j] = list = list.filter((i) => i < end);
+    }
+    end = list[list.length - 1];
+  }
+
+  const commandT = options.algorithm === "command-t";
+  const maxGap = options.maxGap;
+  const charScore = commandT ? commandTCharScore : fuzzaldrinCharScore;
+  if (maxGap === undefined) {
+    // Keep the DP bounded on long texts: only the positions scoring best
+    // on their own (at a word start, or continuing a run) are considered,
+    // with the leftmost one so that a match is still found
+    for (let j = 0; j < m; j++) {
+      const list = positions[j];
+      if (list.length <= MAX_MATCH_POSITIONS) continue;
+      const ownScore = (i) =>
+        charScore(
+          text,
+          query,
+          i,
+          j > 0 && lowerText[i - 1] === lowerQuery[j - 1] ? i - 1 : -1,
+          j
+        );
+      const best = list
+        .slice(1)
+        .map((i) => ({ i, score: ownScore(i) }))
+        .sort((a, b) => b.score - a.score || a.i - b.i)
+        .slice(0, MAX_MATCH_POSITIONS - 1)
+        .map(({ i }) => i);
+      positions[j] = [list[0], ...best.sort((a, b) => a - b)];
+    }
+  }
+
+  // Best score of a match ending at each position of the current character,
+  // and the index of the previous character's position it extends
+  let scores = null;
+  const links = [];
+  for (let j = 0; j < m; j++) {
+    const list = positions[j];
+    const previous = positions[j - 1];
+    const nextScores = new Array(list.length).fill(-1);
+    const nextLinks = new Array(list.length).fill(-1);
+    let first = 0;
+    for (let p = 0; p < list.length; p++) {
+      const i = list[p];
+      if (j === 0) {
+        nextScores[p] = charScore(text, query, i, -1, 0);
+        continue;
+      }
+      while (
+        maxGap !== undefined &&
+        first < previous.length &&
+        i - previous[first] - 1 > maxGap
+      ) {
+        first++;
+      }
+      for (let q = first; q < previous.length && previous[q] < i; q++) {
+        if (scores[q] < 0) continue;
+        const total = scores[q] + charScore(text, query, i, previous[q], j);
+        if (total > nextScores[p]) {
+          nextScores[p] = total;
+          nextLinks[p] = q;
+        }
+      }
+    }
+    if (nextScores.every((score) => score < 0)) return null;
+    scores = nextScores;
+    links.push(nextLinks);
+  }
+
+  let last = -1;
+  let total = -1;
+  scores.forEach((score, p) => {
+    if (score > total) {
+      total = score;
+      last = p;
+    }
+  });
+
+  let score;
+  if (lowerText === lowerQuery) {
+    score = 1;
+  } else if (commandT) {
+    score = total * ((1 / n + 1 / m) / 2);
+  } else {
+    const queryScore = total / m;
+    score = (queryScore * (m / n) + queryScore) / 2;
+  }
+  const result = { score, matchIndexes: undefined };
+  if (options.recordMatchIndexes) {
+    const indices = [positions[m - 1][last]];
+    for (let j = m - 1; j > 0; j--) {
+      last = links[j][last];
+      indices.unshift(positions[j - 1][last]);
+    }
+    result.matchIndexes = indices;
+  }
+  return result;
+}
+
+/**
+ * Matches a text against a query allowing typos. A subsequence match is
+ * scored like fuzzaldrin, in the upper half of the score range. Otherwise up
+ * to one query character in four (at most 3) may be left unmatched, which
+ * covers mistyped, extra and transposed characters; such matches score in the
+ * lower half, less for more edits.
+ * @param {string} text - The text to match against
+ * @param {string} query - The query
+ * @param {Object} [options] - Options of matchText
+ * @returns {Object|null} `{score, matchIndexes}`, or null if there is no match
+ */
+function matchTextWithTypos(text, query, options) {
+  const exact = matchText(text, query, { ...options, algorithm: "fuzzaldrin" });
+  if (exact) {
+    exact.score = 0.5 + exact.score / 2;
+    return exact;
+  }
+
+  const n = text.length;
+  const m = query.length;
+  const maxEdits = Math.min(3, Math.floor(m / 4));
+  if (maxEdits === 0 || n === 0) return null;
+  const lowerText = text.toLowerCase();
+  const lowerQuery = query.toLowerCase();
+  let missing = 0;
+  for (const char of lowerQuery) {
+    if (!lowerText.includes(char) && ++missing > maxEdits) return null;
+  }
+
+  // Longest common subsequence, preferring well scored characters: a match
+  // is worth more than the score of all characters together
+  const matchValue = m + 1;
+  const width = n + 1;
+  const table = new Float64Array((m + 1) * width);
+  const value = (j, i) =>
+    table[(j - 1) * width + i - 1] +
+    matchValue +
+    fuzzaldrinCharScore(text, query, i - 1, -1, j - 1);
+  for (let j = 1; j <= m; j++) {
+    for (let i = 1; i <= n; i++) {
+      let best = Math.max(table[(j - 1) * width + i], table[j * width + i - 1]);
+      if (lowerQuery[j - 1] === lowerText[i - 1]) {
+        best = Math.max(best, value(j, i));
+      }
+      table[j * width + i] = best;
+    }
+  }
+  const total = table[m * width + n];
+  const matched = Math.floor(total / matchValue);
+  const edits = m - matched;
+  if (matched === 0 || edits > maxEdits) return null;
+
+  const queryScore = (total - matched * matchValue) / m;
+  const score =
+    (((queryScore * (m / n) + queryScore) / 2) * (1 - edits / m)) / 2;
+  const result = { score, matchIndexes: undefined };
+  if (options.recordMatchIndexes) {
+    const indices = [];
+    let j = m;
+    let i = n;
+    while (j > 0 && i > 0) {
+      const current = table[j * width + i];
+      if (lowerQuery[j - 1] === lowerText[i - 1] && current === value(j, i)) {
+        indices.unshift(i - 1);
+        j--;
+        i--;
+      } else if (current === table[j * width + i - 1]) {
+        i--;
+      } else {
+        j--;
+      }
+    }
+    result.matchIndexes = indices;
+  }
+  return result;
+}
+
+/**
+ * Scores a matched character like fuzzaldrin: a base score, a bonus for the
+ * same case, and a bonus at the start of a path segment or word, or right
+ * after the previous matched character.
+ */
+function fuzzaldrinCharScore(text, query, i, k, j) {
+  let score = 0.1;
+  if (text[i] === query[j]) score += 0.1;
+  const before = text[i - 1];
+  if (i === 0 || before === "/" || before === "\\") {
+    score += 0.8;
+  } else if (before === "-" || before === "_" || before === " ") {
+    score += 0.7;
+  } else if (isCamelBoundary(text, i)) {
+    score += 0.7;
+  } else if (k === i - 1) {
+    score += 0.6;
+  }
+  return score;
+}
+
+/**
+ * Scores a matched character like command-t: consecutive characters and
+ * characters after a path separator, a word separator or at a camelCase
+ * boundary score high, others decrease with the distance from the previous
+ * matched character.
+ */
+function commandTCharScore(text, query, i, k) {
+  const distance = i - k;
+  if (distance === 1) return 1;
+  const before = text[i - 1];
+  if (before === "/" || before === "\\") return 0.9;
+  if (/[-_ .0-9]/.test(before)) return 0.8;
+  if (isCamelBoundary(text, i)) return 0.8;
+  return 0.75 / distance;
+}
+
+function isCamelBoundary(text, i) {
+  const before = text[i - 1];
+  const char = text[i];
+  return (
+    before !== undefined &&
+    before === before.toLowerCase() &&
+    before !== before.toUpperCase() &&
+    char !== char.toLowerCase()
+  );
+}
+
 /**
  * Computes fuzzy match indices for a text against a query.
  * @param {string} text - The text to match against
  * @param {string} query - The query to match
  * @param {Object} [options] - Optional settings
  * @param {boolean} [options.removeDiacritics=false] - Whether to remove diacritics before matching
+ * @param {Array<string|Function>} [options.normalize] - Normalization steps, see normalizeText
+ * @param {string|Object} [options.matcher] - The fuzzy matcher, see the `matcher` prop
+ * @param {string} [options.algorithm] - The matching algorithm
+ * @param {number} [options.maxGap] - Maximum gap between matched characters
  * @returns {number[]|null} Array of character indices that matched, or null if no match
  */
 function getMatchIndices(text, query, options = {}) {
@@ -956,16 +4989,148 @@ function getMatchIndices(text, query, options = {}) {
   let processedText = text;
   let processedQuery = query;
 
-  if (options.removeDiacritics) {
-    processedText = Diacritics.clean(processedText);
-    processedQuery = Diacritics.clean(processedQuery);
+  const steps = getNormalizeSteps(options);
+  if (steps.length > 0) {
+    processedText = normalizeText(processedText, steps);
+    processedQuery = normalizeText(processedQuery, steps);
   }
 
-  const result = atom.ui.fuzzyMatcher.match(processedText, processedQuery, {
-    recordMatchIndexes: true,
-  });
+  const matcher = resolveMatcher(options.matcher, options.algorithm);
+  const matchOptions = { recordMatchIndexes: true };
+  if (options.algorithm) matchOptions.algorithm = options.algorithm;
+  if (options.maxGap !== undefined) matchOptions.maxGap = options.maxGap;
+  const fuzzyMatchIndices = (text, query) => {
+    const result = matcher.match(text, query, matchOptions);
+    return result?.matchIndexes ?? null;
+  };
+
+  const indices = options.extendedSyntax
+    ? extendedMatchIndices(
+        processedText,
+        parseExtendedQuery(processedQuery),
+        fuzzyMatchIndices
+      )
+    : fuzzyMatchIndices(processedText, processedQuery);
+  return mapMatchIndices(indices, text, steps);
+}
+
+/**
+ * Parses a query in the extended syntax into AND groups of OR terms.
+ * Terms are separated by spaces (escape a literal space as `\ `) and a `|`
+ * between two terms joins them into one group. Term prefixes and suffixes:
+ * `'exact`, `^prefix`, `suffix$`, `^equal$` and `!` to negate an exact term.
+ * A term with an uppercase character is case-sensitive (smart-case).
+ * @param {string} query - The query to parse
+ * @returns {Object[][]} Groups of terms `{type, text, negate, caseSensitive}`
+ */
+function parseExtendedQuery(query) {
+  const tokens = query
+    .trim()
+    .split(/(?<!\\)\s+/)
+    .filter(Boolean)
+    .map((token) => token.replace(/\\ /g, " "));
+  const groups = [];
+  let group = null;
+  let joinNext = false;
+  for (const token of tokens) {
+    if (token === "|") {
+      joinNext = group !== null;
+      continue;
+    }
+    const term = parseExtendedTerm(token);
+    if (!term) continue;
+    if (joinNext) {
+      group.push(term);
+    } else {
+      group = [term];
+      groups.push(group);
+    }
+    joinNext = false;
+  }
+  return groups;
+}
+
+function parseExtendedTerm(token) {
+  let text = token;
+  let type = "fuzzy";
+  let negate = false;
+  if (text.startsWith("!")) {
+    negate = true;
+    type = "exact";
+    text = text.slice(1);
+  }
+  if (text.startsWith("'")) {
+    type = "exact";
+    text = text.slice(1);
+  } else if (text.startsWith("^")) {
+    type = "prefix";
+    text = text.slice(1);
+  }
+  if (text.length > 1 && text.endsWith("$")) {
+    type = type === "prefix" ? "equal" : "suffix";
+    text = text.slice(0, -1);
+  }
+  if (!text) return null;
+  return { type, text, negate, caseSensitive: text !== text.toLowerCase() };
+}
+
+/**
+ * Matches a non-fuzzy term of the extended syntax.
+ * @param {string} text - The text to match against
+ * @param {Object} term - A term from parseExtendedQuery
+ * @returns {number[]|null} The matched character indices, or null
+ */
+function matchExactTerm(text, term) {
+  const haystack = term.caseSensitive ? text : text.toLowerCase();
+  const needle = term.caseSensitive ? term.text : term.text.toLowerCase();
+  let start = -1;
+  if (term.type === "exact") {
+    start = haystack.indexOf(needle);
+  } else if (term.type === "prefix") {
+    start = haystack.startsWith(needle) ? 0 : -1;
+  } else if (term.type === "suffix") {
+    start = haystack.endsWith(needle) ? haystack.length - needle.length : -1;
+  } else if (term.type === "equal") {
+    start = haystack === needle ? 0 : -1;
+  }
+  if (start === -1) return null;
+  return Array.from({ length: needle.length }, (_, i) => start + i);
+}
+
+function isSubsequence(text, query) {
+  let position = 0;
+  for (const char of query) {
+    position = text.indexOf(char, position);
+    if (position === -1) return false;
+    position++;
+  }
+  return true;
+}
 
-  return result?.matchIndexes ?? null;
+/**
+ * Computes the union of the match indices of all matching positive terms.
+ * @param {string} text - The text to match against
+ * @param {Object[][]} groups - Groups from parseExtendedQuery
+ * @param {Function} fuzzyMatchIndices - Called with `(text, query)` for fuzzy terms
+ * @returns {number[]|null} Sorted character indices, or null if none matched
+ */
+function extendedMatchIndices(text, groups, fuzzyMatchIndices) {
+  const indices = new Set();
+  for (const group of groups) {
+    for (const term of group) {
+      if (term.negate) continue;
+      const termIndices =
+        term.type === "fuzzy"
+          ? fuzzyMatchIndices(text, term.text)
+          : matchExactTerm(text, term);
+      if (termIndices) {
+        for (const index of termIndices) {
+          indices.add(index);
+        }
+      }
+    }
+  }
+  return indices.size > 0 ? Array.from(indices).sort((a, b) => a - b) : null;
 }
 
 function highlightMatches(text, matchIndices, options = {}) {
@@ -1019,6 +5184,72 @@ function highlightMatches(text, matchIndices, options = {}) {
   return fragment;
 }
 
+/**
+ * A row between items that cannot be selected or matched, created by
+ * createSeparator.
+ */
+class Separator {
+  constructor(label) {
+    this.label = label;
+  }
+}
+
+/**
+ * Creates a separator to put between items. Separators are shown while the
+ * query is empty, except at the ends of the list or next to each other.
+ * @param {string} [label] - Text shown in the separator
+ * @returns {Separator} The separator item
+ */
+function createSeparator(label) {
+  return new Separator(label);
+}
+
+/**
+ * Returns whether an item is a separator created by createSeparator.
+ * @param {*} item - The item to check
+ * @returns {boolean} True for separators
+ */
+function isSeparator(item) {
+  return item instanceof Separator;
+}
+
+/**
+ * Removes the separators at the ends of a list and those following another
+ * separator.
+ * @param {Array} items - The items
+ * @returns {Array} The items, without stray separators
+ */
+function trimSeparators(items) {
+  if (!items.some(isSeparator)) return items;
+  const trimmed = [];
+  for (const item of items) {
+    const last = trimmed[trimmed.length - 1];
+    if (isSeparator(item) && (!trimmed.length || isSeparator(last))) {
+      continue;
+    }
+    trimmed.push(item);
+  }
+  if (trimmed.length && isSeparator(trimmed[trimmed.length - 1])) {
+    trimmed.pop();
+  }
+  return trimmed;
+}
+
+/**
+ * Creates the element of a separator.
+ * @param {Separator} separator - The separator
+ * @returns {HTMLLIElement} The created list item element
+ */
+function createSeparatorElement(separator) {
+  const li = document.createElement("li");
+  li.classList.add("separator");
+  li.setAttribute("role", "separator");
+  if (separator.label) {
+    li.textContent = separator.label;
+  }
+  return li;
+}
+
 /**
  * Creates a two-line list item element with primary and optional secondary lines.
  * @param {Object} options - Configuration options
@@ -1064,6 +5295,10 @@ function createTwoLineItem({ primary, secondary, icon }) {
 module.exports = SelectListView;
 module.exports.SelectListView = SelectListView;
 module.exports.removeDiacritics = Diacritics.clean;
+module.exports.normalizeText = normalizeText;
 module.exports.getMatchIndices = getMatchIndices;
 module.exports.highlightMatches = highlightMatches;
 module.exports.createTwoLineItem = createTwoLineItem;
+module.exports.createSeparator = createSeparator;
+module.exports.isSeparator = isSeparator;
+module.exports.javascriptMatcher = javascriptMatcher;